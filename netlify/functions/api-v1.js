@@ -0,0 +1,497 @@
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { AIClientError, circuitRetryAfterHeaders, isCircuitOpen, retryAfterHeaders } = require('./lib/aiClient');
+const { ApiError } = require('./lib/apiError');
+const { DEFAULT_TRANSLATION, MAX_PASSAGE_VERSES, resolveTranslation, resolveLanguage, translationForLanguage, hasLocalText, verifyVerses, lookupPassageVerses } = require('./lib/bible');
+const { checkRateLimit } = require('./lib/rateLimit');
+const { cacheHeaders, getResponseCache } = require('./lib/responseCache');
+const { searchVerses } = require('./lib/verseSearch');
+const { evaluateTopic } = require('./lib/topicEvaluation');
+const { topicCheckDetails } = require('./lib/topicGate');
+const { findCrossReferences } = require('./lib/crossReferences');
+const { getContextNote, getPassageContext } = require('./lib/passageContext');
+const { getJobStore } = require('./lib/jobStore');
+const { cleanupStaleEntries, createReflectionJob, getSiteUrl, readReflectionJob } = require('./lib/reflectionJobs');
+const { getShareStore, createShare, readShare, revokeShare } = require('./lib/shares');
+const { verifyReflectionSignature } = require('./lib/reflectionSignature');
+const { streamReflection } = require('./lib/reflectionStream');
+const { validate } = require('./lib/schema');
+const { DEFAULT_MODE } = require('../../shared/reflectionFormat');
+
+/**
+ * The versioned API, served at /api/v1/*. Every request and response body is
+ * defined in schemas/v1/api.json; requests are validated against it before
+ * they reach a route, and errors always come back as
+ * {error: {code, message, details?}} with a machine-readable code.
+ *
+ * Routes:
+ * - POST /verses/search       VerseSearchRequest -> VerseSearchResponse
+ * - POST /passages/lookup     PassageLookupRequest -> PassageResponse
+ * - POST /passages/context    PassageContextRequest -> PassageContext
+ * - POST /passages/context/note  ContextNoteRequest -> ContextNote
+ * - POST /cross-references    CrossReferenceRequest -> CrossReferenceResponse
+ * - POST /reflections         ReflectionRequest -> 202 ReflectionJobResponse
+ * - GET  /reflections/{id}    -> ReflectionJobResponse
+ * - POST /reflections/stream  ReflectionRequest -> Server-Sent Events (ReflectionStreamEvent)
+ * - POST /plans               PlanRequest -> 202 PlanJobResponse
+ * - GET  /plans/{id}          -> PlanJobResponse
+ * - POST /shares              ShareRequest -> 201 ShareCreatedResponse
+ * - GET  /shares/{slug}       -> Share
+ * - DELETE /shares/{slug}     ShareRevokeRequest -> ShareRevokedResponse
+ */
+
+const TOPIC_REJECTED_MESSAGE = "I'm happy to help you with Bible-related topics, daily devotions, and Christian reflections. This topic doesn't appear to have a strong connection to biblical teachings or principles. If you'd like, you can ask about scriptures, biblical characters, Christian living, or how the Bible might provide guidance for specific life situations.";
+
+// The API error for a failed AI call
+function apiErrorFromAI(error) {
+  if (error.statusCode === 503) {
+    return new ApiError(503, 'AI_UNAVAILABLE', error.message, { headers: retryAfterHeaders(error) });
+  }
+  if (error.statusCode === 504) {
+    return new ApiError(504, 'AI_TIMEOUT', error.message);
+  }
+  return new ApiError(502, 'AI_ERROR', 'The AI service returned an error. Please try again.');
+}
+
+function errorDetail(error) {
+  return {
+    code: error.code,
+    message: error.message,
+    ...(error.details ? { details: error.details } : {}),
+    ...(error.topicCheck ? { topicCheck: error.topicCheck } : {})
+  };
+}
+
+// A JSON response, checked against its schema on the way out
+function json(statusCode, schema, data, headers = {}) {
+  const errors = validate(schema, data);
+  if (errors.length > 0) {
+    console.error(`Response does not match ${schema}:`, JSON.stringify(errors));
+  }
+  return { statusCode, headers, body: data };
+}
+
+function ensureCircuitClosed() {
+  if (isCircuitOpen()) {
+    throw new ApiError(503, 'AI_UNAVAILABLE', 'The AI service is temporarily unavailable. Please try again shortly.', {
+      headers: circuitRetryAfterHeaders()
+    });
+  }
+}
+
+// Validate the verses and topic of a ReflectionRequest, ready for generation
+async function prepareReflection(body) {
+  const translation = resolveTranslation(body.translation);
+  const language = resolveLanguage(body.language, translation);
+  const mode = body.mode || DEFAULT_MODE;
+  const topic = body.topic.trim();
+
+  // Public-domain verse text is re-read from the local Bible rather than trusted from the client
+  const verses = verifyVerses(body.verses, { translation });
+  if (verses.length === 0) {
+    throw new ApiError(400, 'VALIDATION_FAILED', 'None of the verses has a valid reference', {
+      details: [{ path: '/verses', message: 'has no valid references' }]
+    });
+  }
+
+  const evaluation = await evaluateTopic(topic, language);
+  if (!evaluation.canBeAddressed) {
+    console.log(`Rejecting non-Bible related topic: "${topic}", Reason: ${evaluation.reason}`);
+    throw new ApiError(422, 'TOPIC_REJECTED', TOPIC_REJECTED_MESSAGE, {
+      details: [{ path: '/topic', message: evaluation.reason || 'not a Bible-related topic' }],
+      topicCheck: topicCheckDetails(evaluation)
+    });
+  }
+
+  return { topic, verses, translation, language, mode };
+}
+
+// Search for verses on a topic, throwing the API error for a failed or rejected search
+async function findTopicVerses(event, query, translation, path, language) {
+  let search;
+  try {
+    search = await searchVerses(query, translation, { cache: getResponseCache(event), language });
+  } catch (error) {
+    if (error instanceof AIClientError) {
+      throw apiErrorFromAI(error);
+    }
+    console.error('Verse search error:', error.message);
+    throw new ApiError(404, 'NO_VERSES_FOUND', 'No Bible verses were found for this topic');
+  }
+
+  if (!search.canBeAddressed) {
+    throw new ApiError(422, 'TOPIC_REJECTED', 'This topic cannot be addressed from a biblical perspective', {
+      details: [{ path, message: search.reason || 'not a Bible-related topic' }],
+      topicCheck: search.topicCheck,
+      headers: cacheHeaders(search.cachedAt)
+    });
+  }
+
+  return search;
+}
+
+// Verses are quoted from a translation in the language asked for, swapping the translation if need be
+async function searchVersesRoute({ event, body }) {
+  const language = resolveLanguage(body.language, body.translation);
+  const translation = translationForLanguage(resolveTranslation(body.translation), language);
+  const search = await findTopicVerses(event, body.query.trim(), translation, '/query', language);
+
+  return json(200, 'VerseSearchResponse', {
+    verses: search.verses,
+    translation,
+    language,
+    topicCheck: search.topicCheck
+  }, cacheHeaders(search.cachedAt));
+}
+
+// Served from the local Bible text; translations without local text fall back to the default,
+// and the response gives the one asked for as requestedTranslation
+async function lookupPassageRoute({ body }) {
+  const translation = resolveTranslation(body.translation);
+  const reference = body.reference.trim();
+  const local = hasLocalText(translation) ? translation : DEFAULT_TRANSLATION;
+  const passage = lookupPassageVerses(reference, local);
+
+  if (!passage) {
+    throw new ApiError(404, 'PASSAGE_NOT_FOUND', `"${reference}" is not a valid Bible reference`);
+  }
+  if (passage.verses.length > MAX_PASSAGE_VERSES) {
+    throw new ApiError(400, 'PASSAGE_TOO_LONG', 'Please request a shorter passage (one chapter or less)');
+  }
+
+  return json(200, 'PassageResponse', local !== translation ? { ...passage, requestedTranslation: translation } : passage);
+}
+
+async function passageContextRoute({ body }) {
+  const reference = body.reference.trim();
+  const context = getPassageContext(reference, {
+    translation: resolveTranslation(body.translation),
+    scope: body.scope
+  });
+
+  if (!context) {
+    throw new ApiError(404, 'PASSAGE_NOT_FOUND', `"${reference}" is not a valid Bible reference`);
+  }
+
+  return json(200, 'PassageContext', context);
+}
+
+// The note is cached per chapter, so only the first reader of a chapter waits for the AI
+async function contextNoteRoute({ event, body }) {
+  const reference = body.reference.trim();
+
+  let result;
+  try {
+    result = await getContextNote(reference, { cache: getResponseCache(event) });
+  } catch (error) {
+    if (error instanceof AIClientError) {
+      throw apiErrorFromAI(error);
+    }
+    console.error('Context note error:', error.message);
+    throw new ApiError(502, 'AI_ERROR', 'The AI service returned an error. Please try again.');
+  }
+
+  if (!result) {
+    throw new ApiError(404, 'PASSAGE_NOT_FOUND', `"${reference}" is not a valid Bible reference`);
+  }
+
+  return json(200, 'ContextNote', { reference: result.reference, note: result.note }, cacheHeaders(result.cachedAt));
+}
+
+async function crossReferencesRoute({ body }) {
+  const reference = body.reference.trim();
+  const result = findCrossReferences(reference, resolveTranslation(body.translation));
+
+  if (!result) {
+    throw new ApiError(404, 'PASSAGE_NOT_FOUND', `"${reference}" is not a valid Bible reference`);
+  }
+
+  return json(200, 'CrossReferenceResponse', result);
+}
+
+async function createReflectionRoute({ event, body }) {
+  ensureCircuitClosed();
+  const input = await prepareReflection(body);
+
+  const store = getJobStore(event);
+  const id = await createReflectionJob(event, store, input);
+  if (!id) {
+    throw new ApiError(503, 'AI_UNAVAILABLE', 'Could not start reflection generation. Please try again shortly.', {
+      headers: { 'Retry-After': '30' }
+    });
+  }
+
+  return json(202, 'ReflectionJobResponse', { id, status: 'pending', result: null, error: null }, {
+    'Location': `/api/v1/reflections/${id}`
+  });
+}
+
+async function getReflectionRoute({ event, params }) {
+  const store = getJobStore(event);
+
+  try {
+    await cleanupStaleEntries(store);
+  } catch (error) {
+    console.error('Job store cleanup failed:', error.message);
+  }
+
+  const [id] = params;
+  const job = await readReflectionJob(store, id);
+  if (!job) {
+    throw new ApiError(404, 'NOT_FOUND', 'Reflection not found');
+  }
+
+  return json(200, 'ReflectionJobResponse', {
+    id,
+    status: job.status,
+    result: job.status === 'completed' ? job.result : null,
+    error: job.status === 'error'
+      ? { code: 'GENERATION_FAILED', message: job.error || 'Failed to generate reflection' }
+      : null
+  });
+}
+
+async function streamReflectionRoute({ body }) {
+  ensureCircuitClosed();
+  const input = await prepareReflection(body);
+
+  // Return the stream straight away and keep writing to it as tokens arrive
+  const output = new PassThrough();
+  streamReflection(output, input, error => ({
+    error: errorDetail(error instanceof AIClientError
+      ? apiErrorFromAI(error)
+      : new ApiError(500, 'GENERATION_FAILED', 'Failed to generate reflection'))
+  }));
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    },
+    body: output
+  };
+}
+
+// A plan builds on the topic's verse search (which also runs the topic check), then is
+// written by the background function like a reflection job
+async function createPlanRoute({ event, body }) {
+  ensureCircuitClosed();
+  const language = resolveLanguage(body.language, body.translation);
+  const translation = translationForLanguage(resolveTranslation(body.translation), language);
+  const topic = body.topic.trim();
+  const search = await findTopicVerses(event, topic, translation, '/topic', language);
+
+  const id = await createReflectionJob(event, getJobStore(event), {
+    topic,
+    days: body.days,
+    translation,
+    language,
+    verses: search.verses
+  }, 'plan');
+  if (!id) {
+    throw new ApiError(503, 'AI_UNAVAILABLE', 'Could not start building the reading plan. Please try again shortly.', {
+      headers: { 'Retry-After': '30' }
+    });
+  }
+
+  return json(202, 'PlanJobResponse', { id, status: 'pending', result: null, error: null }, {
+    'Location': `/api/v1/plans/${id}`
+  });
+}
+
+async function getPlanRoute({ event, params }) {
+  const [id] = params;
+  const job = await readReflectionJob(getJobStore(event), id, 'plan');
+  if (!job) {
+    throw new ApiError(404, 'NOT_FOUND', 'Reading plan not found');
+  }
+
+  return json(200, 'PlanJobResponse', {
+    id,
+    status: job.status,
+    result: job.status === 'completed' ? job.result : null,
+    error: job.status === 'error'
+      ? { code: 'GENERATION_FAILED', message: job.error || 'Failed to generate the reading plan' }
+      : null
+  });
+}
+
+// The site's configured URL, so the link doesn't depend on the request's Host header
+function shareUrl(event, slug) {
+  return `${process.env.URL || getSiteUrl(event)}/r/${slug}`;
+}
+
+// A share is a public page under the site's name, so only a reflection this site wrote
+// on the verses shown can be shared, and the subject goes through the topic check
+async function createShareRoute({ event, body }) {
+  const translation = resolveTranslation(body.translation);
+  const language = resolveLanguage(body.language, translation);
+  const subject = body.subject.trim();
+
+  // Like reflection requests, the verse text is re-read from the local Bible rather than trusted
+  const verses = verifyVerses(body.verses, { translation });
+  if (verses.length === 0) {
+    throw new ApiError(400, 'VALIDATION_FAILED', 'None of the verses has a valid reference', {
+      details: [{ path: '/verses', message: 'has no valid references' }]
+    });
+  }
+
+  if (!verifyReflectionSignature(body.reflection, verses)) {
+    throw new ApiError(403, 'FORBIDDEN', 'Only a reflection written here, on the verses shown, can be shared. If you added verses, write the reflection again.', {
+      details: [{ path: '/reflection/signature', message: 'does not match the reflection and verses' }]
+    });
+  }
+
+  const evaluation = await evaluateTopic(subject, language);
+  if (!evaluation.canBeAddressed) {
+    throw new ApiError(422, 'TOPIC_REJECTED', TOPIC_REJECTED_MESSAGE, {
+      details: [{ path: '/subject', message: evaluation.reason || 'not a Bible-related topic' }],
+      topicCheck: topicCheckDetails(evaluation)
+    });
+  }
+
+  const { signature, ...reflection } = body.reflection;
+  const { share, revokeToken } = await createShare(getShareStore(event), {
+    subject,
+    translation,
+    // The shared page is shown in this language
+    language,
+    verses,
+    reflection
+  });
+  const url = shareUrl(event, share.slug);
+
+  return json(201, 'ShareCreatedResponse', { slug: share.slug, url, createdAt: share.createdAt, revokeToken }, {
+    'Location': `/api/v1/shares/${share.slug}`
+  });
+}
+
+async function getShareRoute({ event, params }) {
+  const [slug] = params;
+  const share = await readShare(getShareStore(event), slug);
+  if (!share) {
+    throw new ApiError(404, 'NOT_FOUND', 'This reflection is not shared, or the share was revoked');
+  }
+
+  return json(200, 'Share', { ...share, url: shareUrl(event, slug) });
+}
+
+async function revokeShareRoute({ event, body, params }) {
+  const [slug] = params;
+  const outcome = await revokeShare(getShareStore(event), slug, body.revokeToken);
+
+  if (outcome === 'not-found') {
+    throw new ApiError(404, 'NOT_FOUND', 'This reflection is not shared, or the share was already revoked');
+  }
+  if (outcome === 'forbidden') {
+    throw new ApiError(403, 'FORBIDDEN', 'The revoke token does not match this share');
+  }
+
+  return json(200, 'ShareRevokedResponse', { slug, revoked: true });
+}
+
+const ROUTES = [
+  { method: 'POST', path: /^verses\/search$/, policy: 'verse-search', schema: 'VerseSearchRequest', handler: searchVersesRoute },
+  { method: 'POST', path: /^passages\/lookup$/, policy: 'passage-lookup', schema: 'PassageLookupRequest', handler: lookupPassageRoute },
+  { method: 'POST', path: /^passages\/context$/, policy: 'passage-lookup', schema: 'PassageContextRequest', handler: passageContextRoute },
+  { method: 'POST', path: /^passages\/context\/note$/, policy: 'context-note', schema: 'ContextNoteRequest', handler: contextNoteRoute },
+  { method: 'POST', path: /^cross-references$/, policy: 'passage-lookup', schema: 'CrossReferenceRequest', handler: crossReferencesRoute },
+  { method: 'POST', path: /^reflections$/, policy: 'reflection', schema: 'ReflectionRequest', handler: createReflectionRoute },
+  { method: 'POST', path: /^reflections\/stream$/, policy: 'reflection', schema: 'ReflectionRequest', handler: streamReflectionRoute },
+  { method: 'GET', path: /^reflections\/([^/]+)$/, policy: 'status-check', handler: getReflectionRoute },
+  { method: 'POST', path: /^plans$/, policy: 'plan', schema: 'PlanRequest', handler: createPlanRoute },
+  { method: 'GET', path: /^plans\/([^/]+)$/, policy: 'status-check', handler: getPlanRoute },
+  { method: 'POST', path: /^shares$/, policy: 'share', schema: 'ShareRequest', handler: createShareRoute },
+  { method: 'GET', path: /^shares\/([^/]+)$/, policy: 'share-view', handler: getShareRoute },
+  { method: 'DELETE', path: /^shares\/([^/]+)$/, policy: 'share', schema: 'ShareRevokeRequest', handler: revokeShareRoute }
+];
+
+// The route path after /api/v1/ (or /.netlify/functions/api-v1/ when called directly)
+function routePath(event) {
+  const match = (event.path || '').match(/\/(?:api\/v1|api-v1)(?:\/(.*))?$/);
+  return match && match[1] ? match[1].replace(/\/+$/, '') : '';
+}
+
+async function route(event, headers) {
+  const path = routePath(event);
+  const matching = ROUTES.filter(candidate => candidate.path.test(path));
+  if (matching.length === 0) {
+    throw new ApiError(404, 'NOT_FOUND', `No such endpoint: /api/v1/${path}`);
+  }
+
+  const match = matching.find(candidate => candidate.method === event.httpMethod);
+  if (!match) {
+    throw new ApiError(405, 'METHOD_NOT_ALLOWED', `Use ${matching.map(candidate => candidate.method).join(' or ')} for /api/v1/${path}`, {
+      headers: { 'Allow': matching.map(candidate => candidate.method).join(', ') }
+    });
+  }
+
+  const rateLimit = await checkRateLimit(event, match.policy);
+  Object.assign(headers, rateLimit.headers);
+
+  if (!rateLimit.allowed) {
+    throw new ApiError(429, 'RATE_LIMITED', `Please try again in ${rateLimit.retryAfterSeconds} seconds`, {
+      headers: { 'Retry-After': String(rateLimit.retryAfterSeconds) }
+    });
+  }
+
+  let body = null;
+  if (match.schema) {
+    try {
+      body = JSON.parse(event.body || 'null');
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_JSON', 'The request body is not valid JSON');
+    }
+
+    const errors = validate(match.schema, body);
+    if (errors.length > 0) {
+      throw new ApiError(400, 'VALIDATION_FAILED', `The request body does not match ${match.schema}`, { details: errors });
+    }
+  }
+
+  return match.handler({ event, body, params: path.match(match.path).slice(1) });
+}
+
+async function handleRequest(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers
+    };
+  }
+
+  let response;
+  try {
+    response = await route(event, headers);
+  } catch (error) {
+    if (!(error instanceof ApiError)) {
+      console.error('API error:', error);
+      error = new ApiError(500, 'INTERNAL', 'An error occurred while processing your request');
+    }
+    response = json(error.statusCode, 'ErrorResponse', { error: errorDetail(error) }, error.headers);
+  }
+
+  // Streams are passed through as they are; everything else is JSON
+  if (response.body instanceof PassThrough) {
+    return { ...response, headers: { ...headers, ...response.headers } };
+  }
+  return {
+    statusCode: response.statusCode,
+    headers: {
+      ...headers,
+      ...response.headers,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(response.body)
+  };
+}
+
+exports.handler = stream(handleRequest);
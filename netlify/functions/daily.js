@@ -0,0 +1,91 @@
+const { checkRateLimit } = require('./lib/rateLimit');
+const { dailyPassage, getDailyStore, isValidDate, readDevotional, utcDate } = require('./lib/dailyDevotional');
+
+/**
+ * Netlify serverless function serving the daily devotional at /api/daily.
+ * It only reads what the dailyDevotional scheduled function has stored, so
+ * it never calls the AI.
+ *
+ * GET /api/daily?date=YYYY-MM-DD (defaults to today, UTC). Dates up to a day
+ * past today's UTC date are accepted, for readers ahead of UTC.
+ *
+ * Response:
+ * {
+ *   date, reference, theme, translation,
+ *   verses: Array<{reference, text, translation}>,
+ *   reflection: Object|null,  // null until that day's reflection has been generated
+ *   generatedAt: string|null
+ * }
+ *
+ * Errors use the v1 API's shape: {error: {code, message}}.
+ */
+
+function errorResponse(statusCode, code, message, headers) {
+  return { statusCode, headers, body: JSON.stringify({ error: { code, message } }) };
+}
+
+// Seconds until the next UTC midnight, when "today" becomes another date
+function secondsUntilNextUtcDay(now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.max(1, Math.ceil((next.getTime() - now) / 1000));
+}
+
+exports.handler = async function(event, context) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers };
+  }
+  if (event.httpMethod !== 'GET') {
+    return errorResponse(405, 'METHOD_NOT_ALLOWED', 'Use GET for /api/daily', { ...headers, 'Allow': 'GET' });
+  }
+
+  const rateLimit = await checkRateLimit(event, 'daily');
+  Object.assign(headers, rateLimit.headers);
+  if (!rateLimit.allowed) {
+    return errorResponse(429, 'RATE_LIMITED', `Please try again in ${rateLimit.retryAfterSeconds} seconds`, {
+      ...headers,
+      'Retry-After': String(rateLimit.retryAfterSeconds)
+    });
+  }
+
+  const requestedDate = event.queryStringParameters && event.queryStringParameters.date;
+  const date = requestedDate || utcDate(0);
+  if (!isValidDate(date)) {
+    return errorResponse(400, 'VALIDATION_FAILED', 'date must be a calendar date in YYYY-MM-DD form', headers);
+  }
+  if (date > utcDate(1)) {
+    return errorResponse(404, 'NOT_FOUND', `There is no devotional for ${date} yet`, headers);
+  }
+
+  let devotional;
+  try {
+    devotional = await readDevotional(getDailyStore(event), date);
+  } catch (error) {
+    console.error('Daily store error:', error.message);
+  }
+
+  // Not generated (yet): the passage is fixed for the date, so it can still be shown
+  if (!devotional) {
+    return {
+      statusCode: 200,
+      headers: { ...headers, 'Cache-Control': 'no-cache' },
+      body: JSON.stringify({ ...dailyPassage(date), reflection: null, generatedAt: null })
+    };
+  }
+
+  // A stored devotional never changes, but without a date the response is today's,
+  // so it may only be cached until the day ends
+  const maxAge = requestedDate ? 3600 : Math.min(3600, secondsUntilNextUtcDay());
+  return {
+    statusCode: 200,
+    headers: { ...headers, 'Cache-Control': `public, max-age=${maxAge}` },
+    body: JSON.stringify(devotional)
+  };
+};
@@ -0,0 +1,44 @@
+const { schedule } = require('@netlify/functions');
+const { generateDevotional, getDailyStore, readDevotional, utcDate } = require('./lib/dailyDevotional');
+
+/**
+ * Netlify scheduled function that generates the daily devotional (see
+ * lib/dailyDevotional.js) ahead of time, so /api/daily never calls the AI.
+ *
+ * Each run makes sure today's and tomorrow's devotionals (UTC) exist;
+ * tomorrow's is ready for readers whose local date is already ahead of UTC.
+ * Days that are already stored are skipped, so most runs do nothing, and a
+ * failed or unfinished generation is retried by the next hourly run.
+ */
+
+// Scheduled functions are stopped after 30 seconds
+const RUN_BUDGET_MS = 25 * 1000;
+// Don't start a generation that has little chance of finishing in time
+const MIN_GENERATION_MS = 10 * 1000;
+
+async function generateDailyDevotionals(event) {
+  const deadline = Date.now() + RUN_BUDGET_MS;
+  const store = getDailyStore(event);
+
+  for (const date of [utcDate(0), utcDate(1)]) {
+    if (await readDevotional(store, date)) {
+      continue;
+    }
+
+    if (deadline - Date.now() < MIN_GENERATION_MS) {
+      console.log(`Out of time before generating the devotional for ${date}, resuming next run`);
+      break;
+    }
+
+    try {
+      await generateDevotional(store, date, { deadline });
+      console.log(`Stored the devotional for ${date}`);
+    } catch (error) {
+      console.error(`Failed to generate the devotional for ${date}:`, error.message);
+    }
+  }
+
+  return { statusCode: 200 };
+}
+
+exports.handler = schedule('@hourly', generateDailyDevotionals);
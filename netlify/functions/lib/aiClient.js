@@ -0,0 +1,404 @@
+const { getAIProvider } = require('./aiProvider');
+
+// Netlify functions are cut off after 26 seconds; keep a margin for building the response
+const DEFAULT_BUDGET_MS = 24000;
+const DEFAULT_TIMEOUT_MS = 25000;
+const DEFAULT_MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 8000;
+
+// Circuit breaker: after this many consecutive upstream failures, fail fast for a while
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_OPEN_MS = 30 * 1000;
+// How soon to try again while the circuit's single trial request is in flight
+const CIRCUIT_PROBE_RETRY_MS = 1000;
+
+// HTTP statuses worth retrying; everything else (400, 401, 403, 404, 422...) is fatal
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+
+/**
+ * Error thrown by the AI client.
+ *
+ * `code` is one of: CONFIG, AUTH, BAD_REQUEST, RATE_LIMITED, QUOTA_EXCEEDED, UPSTREAM,
+ * NETWORK, TIMEOUT, INVALID_RESPONSE, BUDGET_EXCEEDED, CIRCUIT_OPEN.
+ * `statusCode` is the HTTP status our own function should respond with.
+ */
+class AIClientError extends Error {
+  constructor(message, { code, statusCode = 502, retryable = false, upstreamStatus = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'AIClientError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.retryable = retryable;
+    this.upstreamStatus = upstreamStatus;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Circuit breaker state, kept per provider in this function instance
+const circuits = {};
+
+function getCircuit(providerName) {
+  if (!circuits[providerName]) {
+    circuits[providerName] = { failures: 0, openedAt: null, probeStartedAt: null };
+  }
+  return circuits[providerName];
+}
+
+// Whether the circuit's trial request is still in flight. A trial that never
+// settled (its instance was frozen mid-call) stops counting after the open period.
+function isProbing(circuit) {
+  return circuit.probeStartedAt !== null && Date.now() - circuit.probeStartedAt < CIRCUIT_OPEN_MS;
+}
+
+/**
+ * Whether calls to the provider are currently being short-circuited.
+ * Once the open period has passed the circuit is half-open: one trial
+ * request is let through while the rest still fail fast, and its success
+ * closes the circuit while its failure re-opens it.
+ */
+function isCircuitOpen(providerName = getAIProvider().name) {
+  const circuit = getCircuit(providerName);
+  if (circuit.openedAt === null) {
+    return false;
+  }
+  return Date.now() - circuit.openedAt < CIRCUIT_OPEN_MS || isProbing(circuit);
+}
+
+// Let a request through the circuit, making it the trial request if the circuit is half-open
+function acquireCircuit(providerName) {
+  if (isCircuitOpen(providerName)) {
+    return false;
+  }
+  const circuit = getCircuit(providerName);
+  if (circuit.openedAt !== null) {
+    console.log(`AI provider ${providerName} circuit is half-open; sending a trial request`);
+    circuit.probeStartedAt = Date.now();
+  }
+  return true;
+}
+
+/**
+ * Time until the circuit lets a request through again: the rest of the open
+ * period, or a moment while the trial request settles. 0 when closed.
+ */
+function circuitRetryAfterMs(providerName = getAIProvider().name) {
+  const circuit = getCircuit(providerName);
+  if (circuit.openedAt === null) {
+    return 0;
+  }
+  const remaining = CIRCUIT_OPEN_MS - (Date.now() - circuit.openedAt);
+  if (remaining > 0) {
+    return remaining;
+  }
+  return isProbing(circuit) ? CIRCUIT_PROBE_RETRY_MS : 0;
+}
+
+function recordSuccess(providerName) {
+  const circuit = getCircuit(providerName);
+  circuit.failures = 0;
+  circuit.openedAt = null;
+  circuit.probeStartedAt = null;
+}
+
+function recordFailure(providerName) {
+  const circuit = getCircuit(providerName);
+  circuit.failures++;
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD || circuit.probeStartedAt !== null) {
+    if (circuit.openedAt === null || circuit.probeStartedAt !== null) {
+      console.error(`AI provider ${providerName} is failing; opening circuit for ${CIRCUIT_OPEN_MS / 1000} seconds`);
+    }
+    circuit.openedAt = Date.now();
+    circuit.probeStartedAt = null;
+  }
+}
+
+// A trial request that failed for reasons that say nothing about the
+// provider's health (a bad request, a rate limit) leaves the circuit half-open
+function releaseProbe(providerName) {
+  getCircuit(providerName).probeStartedAt = null;
+}
+
+// Parse Retry-After (seconds or an HTTP date) or OpenAI's retry-after-ms header
+function parseRetryAfter(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
+
+  const retryAfterMs = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(retryAfterMs)) {
+    return retryAfterMs;
+  }
+
+  const retryAfter = headers.get('retry-after');
+  if (!retryAfter) {
+    return null;
+  }
+
+  const seconds = parseFloat(retryAfter);
+  if (!isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffDelay(attempt) {
+  const delay = Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * Math.pow(2, attempt));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// Turn an unsuccessful HTTP response into a classified error
+async function errorFromResponse(response) {
+  const errorText = await response.text().catch(() => '');
+  const retryAfterMs = parseRetryAfter(response.headers);
+  const status = response.status;
+
+  console.error(`AI provider error (${status}):`, errorText.substring(0, 500));
+
+  if (status === 401 || status === 403) {
+    return new AIClientError('AI service rejected our credentials', { code: 'AUTH', statusCode: 502, upstreamStatus: status });
+  }
+  if (status === 429 && /insufficient_quota/.test(errorText)) {
+    return new AIClientError('AI service quota exceeded', { code: 'QUOTA_EXCEEDED', statusCode: 503, upstreamStatus: status });
+  }
+  if (status === 429) {
+    return new AIClientError('AI service rate limit reached', { code: 'RATE_LIMITED', statusCode: 503, retryable: true, upstreamStatus: status, retryAfterMs });
+  }
+  if (RETRYABLE_STATUSES.includes(status)) {
+    return new AIClientError(`AI service error: ${status}`, { code: 'UPSTREAM', statusCode: 502, retryable: true, upstreamStatus: status, retryAfterMs });
+  }
+  return new AIClientError(`AI service rejected the request: ${status}`, { code: 'BAD_REQUEST', statusCode: 502, upstreamStatus: status });
+}
+
+// Classify errors thrown while sending the request (network failures, timeouts)
+function errorFromException(error) {
+  if (error instanceof AIClientError) {
+    return error;
+  }
+  if (error && error.code === 'CONFIG') {
+    return new AIClientError(error.message, { code: 'CONFIG', statusCode: 500 });
+  }
+  if (error && (error.type === 'request-timeout' || error.type === 'body-timeout' || error.name === 'AbortError')) {
+    return new AIClientError('AI service timed out', { code: 'TIMEOUT', statusCode: 504, retryable: true });
+  }
+  return new AIClientError(`Could not reach AI service: ${error && error.message}`, { code: 'NETWORK', statusCode: 502, retryable: true });
+}
+
+// Only upstream health problems count towards opening the circuit; our own
+// bad requests and rate limits don't mean the service is degraded
+function countsAgainstCircuit(error) {
+  return ['UPSTREAM', 'NETWORK', 'TIMEOUT'].includes(error.code);
+}
+
+// Run one provider call under the shared retry policy and circuit breaker.
+// `attempt(provider, timeout)` performs a single try and throws on failure.
+async function withRetryPolicy(attempt, { task, timeout, maxRetries, deadline, onRetry }) {
+  const provider = getAIProvider();
+
+  for (let attemptNumber = 0; ; attemptNumber++) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) {
+      throw new AIClientError('AI service did not respond in time', { code: 'BUDGET_EXCEEDED', statusCode: 504 });
+    }
+
+    if (!acquireCircuit(provider.name)) {
+      throw new AIClientError('The AI service is temporarily unavailable. Please try again shortly.', {
+        code: 'CIRCUIT_OPEN',
+        statusCode: 503,
+        retryAfterMs: circuitRetryAfterMs(provider.name)
+      });
+    }
+
+    let error;
+    try {
+      const result = await attempt(provider, Math.min(timeout, remaining));
+      recordSuccess(provider.name);
+      return result;
+    } catch (attemptError) {
+      error = errorFromException(attemptError);
+    }
+
+    if (countsAgainstCircuit(error)) {
+      recordFailure(provider.name);
+    } else {
+      releaseProbe(provider.name);
+    }
+
+    if (!error.retryable || attemptNumber >= maxRetries) {
+      throw error;
+    }
+
+    // Respect Retry-After when the server sends it, otherwise back off with jitter
+    const delayMs = error.retryAfterMs !== null ? error.retryAfterMs : backoffDelay(attemptNumber);
+    if (Date.now() + delayMs >= deadline) {
+      console.error(`Not retrying ${task || 'AI'} request: waiting ${Math.round(delayMs)}ms would exceed the time budget`);
+      throw error;
+    }
+
+    console.log(`${task || 'AI'} request attempt ${attemptNumber + 1} failed (${error.code}). Retrying in ${Math.round(delayMs)}ms...`);
+    if (onRetry) {
+      onRetry({ attempt: attemptNumber + 1, delayMs, error });
+    }
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+  }
+}
+
+/**
+ * Send a chat completion through the configured provider, with the shared
+ * retry policy and circuit breaker, and return the message content.
+ *
+ * @param {Object} request - OpenAI chat-completion request body
+ * @param {Object} [options]
+ * @param {string} [options.task] - "topic-evaluation", "verse-search" or "reflection"
+ * @param {number} [options.timeout] - per-attempt timeout in milliseconds
+ * @param {number} [options.maxRetries] - retries after the first attempt
+ * @param {number} [options.deadline] - epoch ms after which no new attempt is started;
+ *   share one deadline between calls made by the same function invocation
+ * @param {Function} [options.onRetry] - called with {attempt, delayMs, error} before each retry
+ * @returns {Promise<string>} the first choice's message content
+ * @throws {AIClientError}
+ */
+async function completeChat(request, {
+  task,
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  deadline = Date.now() + DEFAULT_BUDGET_MS,
+  onRetry
+} = {}) {
+  return withRetryPolicy(async (provider, attemptTimeout) => {
+    const response = await provider.createChatCompletion(request, { task, timeout: attemptTimeout });
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    const responseText = await response.text();
+    let data;
+    try {
+      data = JSON.parse(responseText);
+    } catch (jsonError) {
+      console.error('Failed to parse AI response as JSON:', responseText.substring(0, 200));
+    }
+
+    const content = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+    if (typeof content !== 'string' || !content) {
+      throw new AIClientError('Invalid response from AI service', { code: 'INVALID_RESPONSE', statusCode: 502, retryable: true });
+    }
+    return content;
+  }, { task, timeout, maxRetries, deadline, onRetry });
+}
+
+// Read an OpenAI-style server-sent event stream, calling onDelta with each
+// piece of message content as it arrives
+async function readCompletionStream(body, onDelta) {
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += chunk.toString();
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) {
+        continue;
+      }
+
+      const data = trimmed.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (jsonError) {
+        console.error('Skipping malformed stream event:', data.substring(0, 200));
+        continue;
+      }
+
+      const delta = event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+      if (typeof delta === 'string' && delta) {
+        onDelta(delta);
+      }
+    }
+  }
+}
+
+/**
+ * Stream a chat completion, calling `onToken` with each piece of content as
+ * the provider produces it. Failures before the first token are retried like
+ * completeChat; once tokens have been delivered a failure is final, since the
+ * caller has already shown them.
+ *
+ * @param {Object} request - OpenAI chat-completion request body (stream is set for you)
+ * @param {Object} [options] - as for completeChat, plus:
+ * @param {Function} options.onToken - called with each content fragment
+ * @returns {Promise<string>} the full message content
+ * @throws {AIClientError}
+ */
+async function streamChat(request, {
+  task,
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  deadline = Date.now() + DEFAULT_BUDGET_MS,
+  onRetry,
+  onToken
+} = {}) {
+  return withRetryPolicy(async (provider, attemptTimeout) => {
+    const response = await provider.createChatCompletion({ ...request, stream: true }, { task, timeout: attemptTimeout });
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    let content = '';
+    try {
+      await readCompletionStream(response.body, delta => {
+        content += delta;
+        if (onToken) {
+          onToken(delta);
+        }
+      });
+    } catch (streamError) {
+      const error = errorFromException(streamError);
+      if (content) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+
+    if (!content) {
+      throw new AIClientError('Empty response from AI service', { code: 'INVALID_RESPONSE', statusCode: 502, retryable: true });
+    }
+    return content;
+  }, { task, timeout, maxRetries, deadline, onRetry });
+}
+
+/**
+ * Retry-After header for an error response, so clients know when to try again.
+ */
+function retryAfterHeaders(error) {
+  if (!(error instanceof AIClientError) || error.statusCode !== 503 || error.retryAfterMs === null) {
+    return {};
+  }
+  return { 'Retry-After': String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))) };
+}
+
+/**
+ * Retry-After header for a response failed fast by the open circuit.
+ */
+function circuitRetryAfterHeaders(providerName = getAIProvider().name) {
+  return { 'Retry-After': String(Math.max(1, Math.ceil(circuitRetryAfterMs(providerName) / 1000))) };
+}
+
+module.exports = {
+  AIClientError,
+  DEFAULT_BUDGET_MS,
+  circuitRetryAfterHeaders,
+  completeChat,
+  isCircuitOpen,
+  retryAfterHeaders,
+  streamChat
+};
@@ -0,0 +1,136 @@
+const path = require('path');
+const fetch = require('node-fetch');
+const { createMockProvider } = require('./mockAiProvider');
+const { createRecordingProvider, createReplayProvider } = require('./fixtureProvider');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Chat-completion provider backed by the OpenAI API or any server that
+ * implements the same /chat/completions endpoint (LM Studio, Ollama, vLLM...).
+ *
+ * @param {Object} options
+ * @param {string} options.name - provider name used in logs
+ * @param {string} options.baseUrl - API base URL, without the trailing /chat/completions
+ * @param {string} [options.apiKey] - sent as a Bearer token when set
+ * @param {boolean} [options.requireApiKey] - fail requests when no API key is configured
+ * @param {string} [options.model] - overrides the model named in every request
+ */
+function createOpenAIProvider({ name, baseUrl, apiKey, requireApiKey = false, model }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name,
+
+    /**
+     * Send a chat-completion request.
+     *
+     * @param {Object} request - OpenAI chat-completion request body
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - request timeout in milliseconds
+     * @returns {Promise<Response>} the raw HTTP response
+     */
+    async createChatCompletion(request, { timeout } = {}) {
+      if (requireApiKey && !apiKey) {
+        console.error(`${name} API key is missing`);
+        const error = new Error('API configuration error');
+        error.code = 'CONFIG';
+        throw error;
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      return fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(model ? { ...request, model } : request),
+        timeout
+      });
+    }
+  };
+}
+
+// Build the provider selected by the LLM_PROVIDER environment variable
+function createBaseProvider(env) {
+  const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  switch (providerName) {
+    case 'openai':
+      return createOpenAIProvider({
+        name: 'OpenAI',
+        baseUrl: OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        requireApiKey: true,
+        model: env.LLM_MODEL
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL must be set when LLM_PROVIDER is "openai-compatible"');
+      }
+      return createOpenAIProvider({
+        name: 'OpenAI-compatible',
+        baseUrl: env.LLM_BASE_URL,
+        apiKey: env.LLM_API_KEY,
+        model: env.LLM_MODEL
+      });
+
+    case 'mock':
+      return createMockProvider();
+
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${providerName}"`);
+  }
+}
+
+// Wrap the provider for recording, or replace it with replay, per LLM_FIXTURES
+function createProviderFromEnv(env) {
+  const mode = (env.LLM_FIXTURES || 'off').toLowerCase();
+  const dir = path.resolve(env.LLM_FIXTURE_DIR || path.join('fixtures', 'llm'));
+
+  switch (mode) {
+    case 'off':
+      return createBaseProvider(env);
+
+    case 'record':
+      return createRecordingProvider(createBaseProvider(env), { dir });
+
+    case 'replay':
+      return createReplayProvider({ dir });
+
+    default:
+      throw new Error(`Unknown LLM_FIXTURES "${mode}"`);
+  }
+}
+
+let cachedProvider = null;
+
+/**
+ * Get the configured chat-completion provider.
+ *
+ * LLM_PROVIDER selects the implementation:
+ * - "openai" (default): api.openai.com using OPENAI_API_KEY
+ * - "openai-compatible": LLM_BASE_URL with an optional LLM_API_KEY
+ * - "mock": deterministic local responses, no network or API key needed
+ *
+ * LLM_MODEL optionally overrides the model for every request.
+ *
+ * LLM_FIXTURES="record" saves every response to LLM_FIXTURE_DIR (default
+ * fixtures/llm), and "replay" serves them back instead of calling a provider.
+ */
+function getAIProvider() {
+  if (!cachedProvider) {
+    cachedProvider = createProviderFromEnv(process.env);
+    console.log(`Using AI provider: ${cachedProvider.name}`);
+  }
+  return cachedProvider;
+}
+
+module.exports = {
+  createOpenAIProvider,
+  createProviderFromEnv,
+  getAIProvider
+};
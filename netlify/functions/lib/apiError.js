@@ -0,0 +1,45 @@
+/**
+ * An error response: HTTP status plus a code from the ErrorDetail schema in
+ * schemas/v1/api.json. Thrown by the /api/v1 routes, and by the original
+ * endpoints for the client errors the two have in common.
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message, { details, topicCheck, headers } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+    this.topicCheck = topicCheck;
+    this.headers = headers || {};
+  }
+}
+
+/**
+ * The response the original endpoints send for an ApiError: their own
+ * `{error, message}` shape, with the /api/v1 error code and details added.
+ *
+ * @param {ApiError} error
+ * @param {Object} headers - the endpoint's CORS and rate limit headers
+ */
+function legacyErrorResponse(error, headers) {
+  return {
+    statusCode: error.statusCode,
+    headers: {
+      ...headers,
+      ...error.headers,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      error: 'Invalid request',
+      code: error.code,
+      message: error.message,
+      ...(error.details ? { details: error.details } : {})
+    })
+  };
+}
+
+module.exports = {
+  ApiError,
+  legacyErrorResponse
+};
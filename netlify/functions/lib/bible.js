@@ -0,0 +1,382 @@
+const ScriptureReference = require('../../../shared/scriptureReference');
+
+// Local public-domain Bible text (King James Version, 1769 edition)
+// Used to verify verse references and text returned by the AI
+const KJV_VERSES = require('kjv/json/verses-1769.json');
+
+// Translations users can choose from, and the language each is in.
+// Public-domain translations are served from local text; the others are
+// quoted by the AI and only have their references checked.
+const TRANSLATIONS = {
+  KJV: { name: 'King James Version', language: 'en', publicDomain: true },
+  WEB: { name: 'World English Bible', language: 'en', publicDomain: true },
+  NIV: { name: 'New International Version', language: 'en', publicDomain: false },
+  ESV: { name: 'English Standard Version', language: 'en', publicDomain: false },
+  NLT: { name: 'New Living Translation', language: 'en', publicDomain: false },
+  RVR1960: { name: 'Reina-Valera 1960', language: 'es', publicDomain: false },
+  NVI: { name: 'Nueva Versión Internacional', language: 'es', publicDomain: false },
+  ARA: { name: 'Almeida Revista e Atualizada', language: 'pt', publicDomain: false },
+  NVT: { name: 'Nova Versão Transformadora', language: 'pt', publicDomain: false }
+};
+const DEFAULT_TRANSLATION = 'KJV';
+
+// Languages searches and reflections can be written in, with the
+// translation used when the one asked for is in another language
+const LANGUAGES = {
+  en: { name: 'English', defaultTranslation: DEFAULT_TRANSLATION },
+  es: { name: 'Spanish', defaultTranslation: 'RVR1960' },
+  pt: { name: 'Portuguese', defaultTranslation: 'ARA' }
+};
+const DEFAULT_LANGUAGE = 'en';
+
+// Longest passage served in one request; the longest chapter (Psalm 119) is 176 verses
+const MAX_PASSAGE_VERSES = 200;
+
+// The KJV dataset uses a few book names that differ from the canonical ones
+const KJV_BOOK_NAMES = {
+  'Song of Solomon': "Solomon's Song"
+};
+
+// World English Bible verses, loaded one book at a time and keyed by "chapter:verse"
+const WEB_BOOKS = {};
+// The "chapter:verse" keys where a World English Bible paragraph or stanza starts, by book
+const WEB_PARAGRAPH_STARTS = {};
+
+// Minimum word overlap for the AI text to count as matching the canonical text
+const TEXT_MATCH_THRESHOLD = 0.8;
+
+/**
+ * Normalize a translation code ("kjv", "WEB"), or return null if unsupported.
+ */
+function resolveTranslation(translation) {
+  if (translation === undefined || translation === null || translation === '') {
+    return DEFAULT_TRANSLATION;
+  }
+  const code = typeof translation === 'string' ? translation.trim().toUpperCase() : '';
+  return TRANSLATIONS[code] ? code : null;
+}
+
+/**
+ * Normalize a language code ("es", "pt-BR"), or return null if unsupported.
+ * Without one, the language is that of the translation.
+ */
+function resolveLanguage(language, translation = DEFAULT_TRANSLATION) {
+  if (language === undefined || language === null || language === '') {
+    return TRANSLATIONS[resolveTranslation(translation) || DEFAULT_TRANSLATION].language;
+  }
+  const code = typeof language === 'string' ? language.trim().toLowerCase().split('-')[0] : '';
+  return LANGUAGES[code] ? code : null;
+}
+
+// The translation to quote in a language: the one asked for if it's in that language, else the language's default
+function translationForLanguage(translation, language) {
+  const code = resolveTranslation(translation) || DEFAULT_TRANSLATION;
+  return TRANSLATIONS[code].language === language ? code : LANGUAGES[language].defaultTranslation;
+}
+
+/**
+ * A paragraph for an AI prompt telling the model which language to write in,
+ * with "{language}" in the note replaced by the language's name. English
+ * prompts get nothing, so they stay as they were and recorded fixtures
+ * still match them.
+ *
+ * @param {string} language - a key of LANGUAGES
+ * @param {string} note
+ * @returns {string} the note after a blank line, or "" for English
+ */
+function languageNote(language, note) {
+  return language === 'en' ? '' : `\n\n${note.replace('{language}', LANGUAGES[language].name)}`;
+}
+
+// Whether a translation's text is available locally
+function hasLocalText(translation) {
+  const code = resolveTranslation(translation);
+  return Boolean(code && TRANSLATIONS[code].publicDomain);
+}
+
+// KJV verse text, stripped of the dataset's markup
+// ("#" marks a new paragraph and [brackets] mark italicized words)
+function getKjvVerseText(book, chapter, verse) {
+  const kjvBook = KJV_BOOK_NAMES[book] || book;
+  const raw = KJV_VERSES[`${kjvBook} ${chapter}:${verse}`];
+
+  if (typeof raw !== 'string') {
+    return null;
+  }
+
+  return raw
+    .replace(/^#\s*/, '')
+    .replace(/[[\]]/g, '')
+    .trim();
+}
+
+// Load a World English Bible book from the text bundled in ./web (see the
+// README there), noting where its paragraphs start
+function loadWebBook(book) {
+  if (!WEB_BOOKS[book]) {
+    const fileName = book.toLowerCase().replace(/\s+/g, '');
+    const { verses, paragraphStarts } = require(`./web/${fileName}.json`);
+    WEB_PARAGRAPH_STARTS[book] = new Set(paragraphStarts);
+    WEB_BOOKS[book] = verses;
+  }
+
+  return WEB_BOOKS[book];
+}
+
+function getWebVerseText(book, chapter, verse) {
+  const text = loadWebBook(book)[`${chapter}:${verse}`];
+  return typeof text === 'string' ? text : null;
+}
+
+/**
+ * The verses in a chapter that start a paragraph or stanza. Paragraphs come
+ * from the World English Bible's layout whatever the translation, since the
+ * KJV data marks only a few; verse 1 always starts one.
+ *
+ * @param {string} book - canonical book name
+ * @param {number} chapter
+ * @returns {number[]} verse numbers, in order
+ */
+function getParagraphStarts(book, chapter) {
+  let starts = [];
+  try {
+    loadWebBook(book);
+    starts = [...WEB_PARAGRAPH_STARTS[book]]
+      .map(key => key.split(':').map(Number))
+      .filter(([c]) => c === chapter)
+      .map(([, verse]) => verse);
+  } catch (error) {
+    console.error(`No paragraph layout for ${book}:`, error.message);
+  }
+  return [...new Set([1, ...starts])].sort((a, b) => a - b);
+}
+
+const LOCAL_TEXT = {
+  KJV: getKjvVerseText,
+  WEB: getWebVerseText
+};
+
+/**
+ * Get the text of a single verse from a public-domain translation.
+ *
+ * @returns {string|null} null if the verse doesn't exist or the translation
+ *   has no local text
+ */
+function getVerseText(book, chapter, verse, translation = DEFAULT_TRANSLATION) {
+  const source = LOCAL_TEXT[resolveTranslation(translation)];
+  return source ? source(book, chapter, verse) : null;
+}
+
+// Number of verses in a chapter, or 0 if the chapter doesn't exist
+function getVerseCount(book, chapter, translation = DEFAULT_TRANSLATION) {
+  let count = 0;
+  while (getVerseText(book, chapter, count + 1, translation) !== null) {
+    count++;
+  }
+  return count;
+}
+
+// Collect every verse in a range, or null if any verse is missing
+function getRangeVerses(range, translation) {
+  const verses = [];
+
+  for (let chapter = range.chapter; chapter <= range.chapterEnd; chapter++) {
+    const verseCount = getVerseCount(range.book, chapter, translation);
+    if (verseCount === 0) {
+      return null;
+    }
+
+    const first = chapter === range.chapter && range.verseStart !== null ? range.verseStart : 1;
+    const last = chapter === range.chapterEnd && range.verseEnd !== null ? range.verseEnd : verseCount;
+    if (first > verseCount || last > verseCount) {
+      return null;
+    }
+
+    for (let verse = first; verse <= last; verse++) {
+      verses.push({
+        book: range.book,
+        chapter,
+        verse,
+        text: getVerseText(range.book, chapter, verse, translation)
+      });
+    }
+  }
+
+  return verses;
+}
+
+// Resolve a reference string or parsed ranges to the individual verses it covers
+function resolveVerses(reference, translation) {
+  const ranges = typeof reference === 'string' ? ScriptureReference.parse(reference) : reference;
+  if (!Array.isArray(ranges) || ranges.length === 0) {
+    return null;
+  }
+
+  const verses = [];
+  for (const range of ranges) {
+    const rangeVerses = getRangeVerses(range, translation);
+    if (!rangeVerses) {
+      return null;
+    }
+    verses.push(...rangeVerses);
+  }
+
+  return { ranges, verses };
+}
+
+/**
+ * Look up a reference in the local Bible text.
+ *
+ * @param {string|Array} reference - a reference string or parsed ranges
+ * @param {string} [translation] - a public-domain translation code (default KJV)
+ * @returns {{reference: string, text: string, translation: string}|null}
+ *   null if the reference can't be parsed or any verse in it doesn't exist
+ */
+function lookupPassage(reference, translation = DEFAULT_TRANSLATION) {
+  const code = resolveTranslation(translation);
+  const resolved = resolveVerses(reference, code);
+  if (!resolved) {
+    return null;
+  }
+
+  return {
+    reference: ScriptureReference.format(resolved.ranges),
+    text: resolved.verses.map(verse => verse.text).join(' '),
+    translation: code
+  };
+}
+
+/**
+ * Look up a passage verse by verse, for displaying a whole passage.
+ *
+ * @param {string|Array} reference - a reference string or parsed ranges
+ * @param {string} [translation] - a public-domain translation code (default KJV)
+ * @returns {{reference: string, translation: string, verses: Array<{reference: string, text: string, translation: string}>}|null}
+ */
+function lookupPassageVerses(reference, translation = DEFAULT_TRANSLATION) {
+  const code = resolveTranslation(translation);
+  const resolved = resolveVerses(reference, code);
+  if (!resolved) {
+    return null;
+  }
+
+  return {
+    reference: ScriptureReference.format(resolved.ranges),
+    translation: code,
+    verses: resolved.verses.map(verse => ({
+      reference: ScriptureReference.formatRange({
+        book: verse.book,
+        chapter: verse.chapter,
+        verseStart: verse.verse,
+        chapterEnd: verse.chapter,
+        verseEnd: verse.verse
+      }),
+      text: verse.text,
+      translation: code
+    }))
+  };
+}
+
+// Word-level overlap between two texts, ignoring case and punctuation
+function textSimilarity(a, b) {
+  const words = text => text.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+  const aWords = words(a);
+  const bWords = new Set(words(b));
+
+  if (aWords.length === 0 || bWords.size === 0) {
+    return 0;
+  }
+
+  const shared = aWords.filter(word => bWords.has(word)).length;
+  return shared / Math.max(aWords.length, bWords.size);
+}
+
+/**
+ * Verify AI-returned verses against the local Bible text.
+ *
+ * Verses whose reference cannot be parsed or does not exist (e.g. "John 3:99")
+ * are dropped. For public-domain translations, "replace" mode swaps the text
+ * for the local text and "flag" mode keeps the AI text but marks it when it
+ * differs. For other translations the AI text is kept as-is.
+ *
+ * @param {Array<{reference: string, text: string}>} verses
+ * @param {Object} [options]
+ * @param {string} [options.translation] - translation code (default KJV)
+ * @param {string} [options.mode] - "replace" (default) or "flag"
+ * @returns {Array<{reference: string, text: string, translation: string, verified?: boolean}>}
+ */
+function verifyVerses(verses, { translation = DEFAULT_TRANSLATION, mode = 'replace' } = {}) {
+  if (!Array.isArray(verses)) {
+    return [];
+  }
+
+  const code = resolveTranslation(translation) || DEFAULT_TRANSLATION;
+  const local = hasLocalText(code);
+
+  return verses.reduce((verified, verse) => {
+    if (!verse || typeof verse.reference !== 'string') {
+      return verified;
+    }
+
+    // References to translations we don't have are checked against the KJV
+    const canonical = lookupPassage(verse.reference, local ? code : DEFAULT_TRANSLATION);
+    if (!canonical) {
+      console.log(`Dropping verse with invalid reference: ${verse.reference}`);
+      return verified;
+    }
+
+    const aiText = typeof verse.text === 'string' ? verse.text.trim() : '';
+
+    if (!local) {
+      if (aiText) {
+        verified.push({
+          reference: canonical.reference,
+          text: aiText,
+          translation: code
+        });
+      }
+      return verified;
+    }
+
+    const matches = textSimilarity(aiText, canonical.text) >= TEXT_MATCH_THRESHOLD;
+
+    if (mode === 'flag' && aiText) {
+      verified.push({
+        reference: canonical.reference,
+        text: aiText,
+        translation: code,
+        verified: matches,
+        ...(matches ? {} : { canonicalText: canonical.text })
+      });
+    } else {
+      if (!matches) {
+        console.log(`Replacing AI text for ${canonical.reference} with ${code} text`);
+      }
+      verified.push({
+        ...canonical,
+        verified: true
+      });
+    }
+
+    return verified;
+  }, []);
+}
+
+module.exports = {
+  TRANSLATIONS,
+  DEFAULT_TRANSLATION,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  MAX_PASSAGE_VERSES,
+  resolveTranslation,
+  resolveLanguage,
+  translationForLanguage,
+  languageNote,
+  hasLocalText,
+  getVerseText,
+  getVerseCount,
+  getParagraphStarts,
+  lookupPassage,
+  lookupPassageVerses,
+  verifyVerses
+};
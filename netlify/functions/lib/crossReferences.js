@@ -0,0 +1,117 @@
+const fs = require('fs');
+const ScriptureReference = require('../../../shared/scriptureReference');
+const { DEFAULT_TRANSLATION, MAX_PASSAGE_VERSES, getVerseCount, hasLocalText, lookupPassage, lookupPassageVerses } = require('./bible');
+const defaultData = require('./crossReferences.json');
+
+/**
+ * Cross-references: the passages related to a verse, from a bundled dataset,
+ * with their text from the local Bible, so following a thread through
+ * Scripture needs no AI call.
+ *
+ * The dataset maps a verse or short passage to the passages related to it:
+ *   { "crossReferences": { "John 3:16": ["Romans 5:8", "1 John 4:9-10"], ... } }
+ * Links work both ways: Romans 5:8 also lists John 3:16. The bundled
+ * crossReferences.json covers the verses searches most often return;
+ * CROSS_REFERENCES_FILE points at a file of the same shape to use instead,
+ * such as one converted from the full Treasury of Scripture Knowledge.
+ */
+
+// The most related passages returned for one reference
+const MAX_CROSS_REFERENCES = 20;
+
+let cachedIndex = null;
+
+// The single-verse keys ("John 3:16") a reference covers, within its first chapter
+function verseKeys(reference) {
+  return ScriptureReference.parse(reference).flatMap(range => {
+    const first = range.verseStart || 1;
+    const last = range.verseEnd && range.chapterEnd === range.chapter
+      ? range.verseEnd
+      : getVerseCount(range.book, range.chapter);
+
+    const keys = [];
+    for (let verse = first; verse <= last; verse++) {
+      keys.push(ScriptureReference.formatRange({
+        book: range.book,
+        chapter: range.chapter,
+        verseStart: verse,
+        chapterEnd: range.chapter,
+        verseEnd: verse
+      }));
+    }
+    return keys;
+  });
+}
+
+function addLink(index, key, reference) {
+  if (!index.has(key)) {
+    index.set(key, []);
+  }
+  const links = index.get(key);
+  if (!links.includes(reference)) {
+    links.push(reference);
+  }
+}
+
+// Verse key -> related references: each entry's own links first, then the reverse links
+function getIndex() {
+  if (!cachedIndex) {
+    const file = process.env.CROSS_REFERENCES_FILE;
+    const data = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : defaultData;
+    const entries = Object.entries(data.crossReferences)
+      .map(([source, targets]) => [ScriptureReference.normalize(source), targets.map(ScriptureReference.normalize).filter(Boolean)])
+      .filter(([source]) => source);
+
+    cachedIndex = new Map();
+    entries.forEach(([source, targets]) => {
+      verseKeys(source).forEach(key => targets.forEach(target => addLink(cachedIndex, key, target)));
+    });
+    entries.forEach(([source, targets]) => {
+      targets.forEach(target => verseKeys(target).forEach(key => addLink(cachedIndex, key, source)));
+    });
+  }
+  return cachedIndex;
+}
+
+/**
+ * Find the passages related to a reference.
+ *
+ * @param {string} reference - a verse or passage, e.g. "Philippians 4:6-7"
+ * @param {string} [translation] - translations without local text fall back to the KJV
+ * @returns {{reference: string, translation: string, crossReferences: Array<{reference: string, text: string, translation: string}>}|null}
+ *   null if the reference isn't a valid one
+ */
+function findCrossReferences(reference, translation = DEFAULT_TRANSLATION) {
+  const local = hasLocalText(translation) ? translation : DEFAULT_TRANSLATION;
+  const passage = lookupPassageVerses(reference, local);
+  if (!passage) {
+    return null;
+  }
+
+  // Only the start of a very long passage is looked at; the list is capped anyway
+  const verses = passage.verses.slice(0, MAX_PASSAGE_VERSES);
+  const index = getIndex();
+  const own = new Set(verses.map(verse => verse.reference));
+  const related = [];
+  verses.forEach(verse => {
+    (index.get(verse.reference) || []).forEach(target => {
+      // Skip links back into the passage itself
+      if (!related.includes(target) && !verseKeys(target).some(key => own.has(key))) {
+        related.push(target);
+      }
+    });
+  });
+
+  return {
+    reference: passage.reference,
+    translation: local,
+    crossReferences: related
+      .slice(0, MAX_CROSS_REFERENCES)
+      .map(target => lookupPassage(target, local))
+      .filter(Boolean)
+  };
+}
+
+module.exports = {
+  findCrossReferences
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const { completeChat } = require('./aiClient');
+const { DEFAULT_TRANSLATION, hasLocalText, lookupPassageVerses, resolveTranslation } = require('./bible');
+const { getJobStore } = require('./jobStore');
+const { buildReflectionRequest, parseReflection } = require('./reflectionPrompt');
+const defaultPassages = require('./dailyPassages.json');
+
+/**
+ * The daily devotional: one passage per day, picked from a curated list, with
+ * a reflection generated once by the dailyDevotional scheduled function and
+ * stored for everyone who asks for that day.
+ *
+ * Days are calendar dates (YYYY-MM-DD). The passage for a date is fixed: the
+ * list is walked in order, one passage per day since 1970-01-01, so the same
+ * date always gets the same passage on every instance.
+ *
+ * DAILY_PASSAGES_FILE points at a JSON file to use instead of
+ * dailyPassages.json, and DAILY_TRANSLATION picks the translation (one with
+ * local text; KJV by default). Devotionals are kept in the same kind of store
+ * as reflection jobs (see jobStore.js); DAILY_STORE_DIR sets the directory
+ * for the file store.
+ */
+
+const DAILY_STORE_NAME = 'daily-devotionals';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cachedPassages = null;
+
+function getPassages() {
+  if (!cachedPassages) {
+    const file = process.env.DAILY_PASSAGES_FILE;
+    cachedPassages = (file ? JSON.parse(fs.readFileSync(file, 'utf8')) : defaultPassages).passages;
+  }
+  return cachedPassages;
+}
+
+function getDailyStore(event) {
+  return getJobStore(event, { name: DAILY_STORE_NAME, dir: process.env.DAILY_STORE_DIR });
+}
+
+function getDailyTranslation() {
+  const translation = resolveTranslation(process.env.DAILY_TRANSLATION);
+  return translation && hasLocalText(translation) ? translation : DEFAULT_TRANSLATION;
+}
+
+/**
+ * Check a date string.
+ *
+ * @param {string} text - e.g. "2026-10-19"
+ * @returns {boolean} whether it is a real calendar date in YYYY-MM-DD form
+ */
+function isValidDate(text) {
+  if (typeof text !== 'string' || !DATE_PATTERN.test(text)) {
+    return false;
+  }
+  const date = new Date(`${text}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === text;
+}
+
+// The UTC date `offsetDays` from now, as YYYY-MM-DD
+function utcDate(offsetDays = 0) {
+  return new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * The passage for a date, with its verses from the local Bible text.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{date: string, reference: string, theme: string, translation: string, verses: Array}}
+ */
+function dailyPassage(date) {
+  const passages = getPassages();
+  const day = Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+  const entry = passages[((day % passages.length) + passages.length) % passages.length];
+
+  const translation = getDailyTranslation();
+  const passage = lookupPassageVerses(entry.reference, translation);
+  if (!passage) {
+    throw new Error(`Daily passage "${entry.reference}" is not a valid reference`);
+  }
+
+  return {
+    date,
+    reference: passage.reference,
+    theme: entry.theme,
+    translation,
+    verses: passage.verses
+  };
+}
+
+/**
+ * Read the stored devotional for a date.
+ *
+ * @returns {Promise<Object|null>} {date, reference, theme, translation, verses, reflection, generatedAt}, or null if it hasn't been generated
+ */
+async function readDevotional(store, date) {
+  if (!isValidDate(date)) {
+    return null;
+  }
+  return store.get(date);
+}
+
+/**
+ * Generate the devotional for a date with the reflection pipeline and store it.
+ *
+ * @param {Object} store - the daily store
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} options
+ * @param {number} options.deadline - epoch ms by which generation must finish
+ * @returns {Promise<Object>} the stored devotional
+ */
+async function generateDevotional(store, date, { deadline }) {
+  const passage = dailyPassage(date);
+  console.log(`Generating the devotional for ${date}: ${passage.reference} (${passage.theme})`);
+
+  const content = await completeChat(buildReflectionRequest(passage.theme, passage.verses, passage.translation), {
+    task: 'reflection',
+    timeout: Math.max(deadline - Date.now(), 1000),
+    maxRetries: 1,
+    deadline
+  });
+
+  const devotional = {
+    ...passage,
+    reflection: parseReflection(content, passage.theme, passage.verses),
+    generatedAt: new Date().toISOString()
+  };
+  await store.set(date, devotional);
+  return devotional;
+}
+
+module.exports = {
+  dailyPassage,
+  generateDevotional,
+  getDailyStore,
+  isValidDate,
+  readDevotional,
+  utcDate
+};
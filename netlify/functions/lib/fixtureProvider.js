@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { FetchError, Response } = require('node-fetch');
+
+/**
+ * Record/replay of chat-completion responses, so the app and its failure
+ * paths can be exercised offline with the same output every run.
+ *
+ * A fixture file holds every response recorded for one request, keyed by a
+ * hash of the request body:
+ *
+ *   {
+ *     "task": "verse-search",
+ *     "request": { ...the chat-completion request... },
+ *     "responses": [
+ *       { "status": 429, "headers": { "retry-after": "1" }, "body": "..." },
+ *       { "error": "timeout" },
+ *       { "status": 200, "headers": { "content-type": "application/json" }, "body": "..." }
+ *     ]
+ *   }
+ *
+ * Replay serves the responses in order, one per call, and keeps serving the
+ * last one after that, so a retry sequence plays out the same way every
+ * time. A response can be an HTTP reply (`status`, `headers`, `body`), or a
+ * thrown `error` of "timeout" or "network"; any of them can wait `delayMs`
+ * first. Fixtures can be edited by hand to add failures.
+ */
+
+// Response headers worth keeping; the rest vary per call and aren't read
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'retry-after-ms'];
+
+// Pause between replayed stream events so progressive rendering still shows
+const REPLAY_STREAM_DELAY_MS = 30;
+
+// JSON with object keys sorted, so equal requests always hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Fixture file for a request: the task keeps the directory readable, the hash identifies it
+function fixturePath(dir, request, task) {
+  const hash = crypto.createHash('sha256').update(canonicalJson(request)).digest('hex').slice(0, 16);
+  return path.join(dir, `${task || 'chat'}-${hash}.json`);
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Split a recorded event stream back into events, replayed one at a time
+async function* replayEvents(body) {
+  for (const event of body.split(/(?<=\n\n)/)) {
+    await delay(REPLAY_STREAM_DELAY_MS);
+    yield event;
+  }
+}
+
+// Rebuild the provider's reply from a recorded response
+async function replayResponse(recorded, { timeout } = {}) {
+  const waitMs = recorded.delayMs || 0;
+  if (timeout && waitMs >= timeout) {
+    await delay(timeout);
+    throw new FetchError(`network timeout after ${timeout}ms (replayed)`, 'request-timeout');
+  }
+  await delay(waitMs);
+
+  if (recorded.error === 'timeout') {
+    throw new FetchError('network timeout (replayed)', 'request-timeout');
+  }
+  if (recorded.error) {
+    throw new FetchError(`request failed: ${recorded.error} (replayed)`, 'system');
+  }
+
+  const headers = recorded.headers || {};
+  const body = recorded.body || '';
+  const isStream = /text\/event-stream/.test(headers['content-type'] || '');
+
+  return new Response(isStream ? Readable.from(replayEvents(body)) : body, {
+    status: recorded.status || 200,
+    headers
+  });
+}
+
+/**
+ * Provider that answers from fixture files and never touches the network.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - directory holding the fixture files
+ */
+function createReplayProvider({ dir }) {
+  // Calls served so far for each fixture, to walk through its responses
+  const calls = new Map();
+
+  return {
+    name: 'Replay',
+
+    async createChatCompletion(request, { task, timeout } = {}) {
+      const file = fixturePath(dir, request, task);
+
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      } catch (readError) {
+        console.error(`No usable LLM fixture at ${file}:`, readError.message);
+        const error = new Error(`No recorded response for this ${task || 'chat'} request (expected ${path.basename(file)})`);
+        error.code = 'CONFIG';
+        throw error;
+      }
+
+      const responses = fixture.responses || [];
+      if (responses.length === 0) {
+        const error = new Error(`LLM fixture ${path.basename(file)} has no responses`);
+        error.code = 'CONFIG';
+        throw error;
+      }
+
+      const index = calls.get(file) || 0;
+      calls.set(file, index + 1);
+      return replayResponse(responses[Math.min(index, responses.length - 1)], { timeout });
+    }
+  };
+}
+
+/**
+ * Provider that passes requests through to another provider and writes each
+ * response to a fixture file. The first call for a request in this process
+ * replaces any older fixture; later calls (retries) are appended to it.
+ *
+ * @param {Object} provider - the provider to record
+ * @param {Object} options
+ * @param {string} options.dir - directory to write the fixture files to
+ */
+function createRecordingProvider(provider, { dir }) {
+  const recorded = new Set();
+
+  async function save(file, task, request, response) {
+    try {
+      let fixture = { task, request, responses: [] };
+      if (recorded.has(file)) {
+        fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      }
+      recorded.add(file);
+      fixture.responses.push(response);
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+      console.log(`Recorded LLM fixture ${path.basename(file)} (response ${fixture.responses.length})`);
+    } catch (error) {
+      console.error(`Failed to record LLM fixture ${file}:`, error.message);
+    }
+  }
+
+  return {
+    name: `${provider.name} (recording)`,
+
+    async createChatCompletion(request, options = {}) {
+      const file = fixturePath(dir, request, options.task);
+
+      let response;
+      try {
+        response = await provider.createChatCompletion(request, options);
+      } catch (error) {
+        // Configuration problems are ours, not the service's; don't record them
+        if (error.code !== 'CONFIG') {
+          const isTimeout = error.type === 'request-timeout' || error.name === 'AbortError';
+          await save(file, options.task, request, { error: isTimeout ? 'timeout' : 'network' });
+        }
+        throw error;
+      }
+
+      const headers = {};
+      RECORDED_HEADERS.forEach(name => {
+        const value = response.headers.get(name);
+        if (value !== null) {
+          headers[name] = value;
+        }
+      });
+      const status = response.status;
+
+      // Streams are passed on as they arrive and saved once they finish
+      if (/text\/event-stream/.test(headers['content-type'] || '')) {
+        const chunks = [];
+        const output = new PassThrough();
+        response.body.on('data', chunk => chunks.push(Buffer.from(chunk)));
+        response.body.on('end', () => save(file, options.task, request, {
+          status,
+          headers,
+          body: Buffer.concat(chunks).toString()
+        }));
+        response.body.on('error', error => output.destroy(error));
+        response.body.pipe(output);
+        return new Response(output, { status, headers });
+      }
+
+      const body = await response.text();
+      await save(file, options.task, request, { status, headers, body });
+      return new Response(body, { status, headers });
+    }
+  };
+}
+
+module.exports = {
+  createRecordingProvider,
+  createReplayProvider
+};
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JOB_STORE_NAME = 'reflection-jobs';
+
+/**
+ * Job stores keep reflection job state outside the function instance, so a
+ * status check can land on a different instance than the request that started
+ * the job, and jobs survive cold starts.
+ *
+ * Every store implements the same async interface:
+ * - get(id) - the job object, or null if there is none
+ * - set(id, job) - create or replace a job
+ * - delete(id) - remove a job (no error if it doesn't exist)
+ * - list() - the ids of all stored jobs
+ */
+
+/**
+ * Store backed by Netlify Blobs, shared by every instance of every function
+ * on the site.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.event] - the Lambda event, which carries the Blobs credentials
+ * @param {string} [options.name] - blob store name
+ */
+function createBlobJobStore({ event, name = JOB_STORE_NAME } = {}) {
+  const { connectLambda, getStore } = require('@netlify/blobs');
+
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+
+  // Strong consistency so a status check sees a job the moment it's written
+  const store = getStore({ name, consistency: 'strong' });
+
+  return {
+    name: 'Netlify Blobs',
+
+    get(id) {
+      return store.get(id, { type: 'json' });
+    },
+
+    set(id, job) {
+      return store.setJSON(id, job);
+    },
+
+    delete(id) {
+      return store.delete(id);
+    },
+
+    async list() {
+      const { blobs } = await store.list();
+      return blobs.map(blob => blob.key);
+    }
+  };
+}
+
+/**
+ * Store that keeps one JSON file per job in a local directory. A stand-in for
+ * Netlify Blobs during local development, shared by every function that
+ * `netlify dev` runs on the machine.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - store name, used for the default directory
+ * @param {string} [options.dir] - directory for the job files
+ */
+function createFileJobStore({ name = JOB_STORE_NAME, dir = path.join(os.tmpdir(), name) } = {}) {
+  const fileFor = id => path.join(dir, `${encodeURIComponent(id)}.json`);
+
+  return {
+    name: 'file',
+
+    async get(id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async set(id, job) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Write to a temporary file and rename it, so readers never see a partial job
+      const file = fileFor(id);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(job));
+      await fs.promises.rename(tempFile, file);
+    },
+
+    async delete(id) {
+      await fs.promises.rm(fileFor(id), { force: true });
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return [];
+        }
+        throw error;
+      }
+
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => decodeURIComponent(file.slice(0, -'.json'.length)));
+    }
+  };
+}
+
+/**
+ * Get the job store for a function invocation.
+ *
+ * JOB_STORE selects the implementation:
+ * - "blobs": Netlify Blobs (the default when deployed on Netlify)
+ * - "file": JSON files in JOB_STORE_DIR, or a directory under the OS temp dir
+ *   (the default everywhere else)
+ *
+ * Other records kept the same way (such as shared reflections) pass their
+ * own store name and directory.
+ *
+ * @param {Object} [event] - the Lambda event for this invocation
+ * @param {Object} [options]
+ * @param {string} [options.name] - store name
+ * @param {string} [options.dir] - directory for the file store
+ */
+function getJobStore(event, { name = JOB_STORE_NAME, dir = process.env.JOB_STORE_DIR } = {}) {
+  const onNetlify = Boolean(event && event.blobs);
+  const backend = (process.env.JOB_STORE || (onNetlify ? 'blobs' : 'file')).toLowerCase();
+
+  switch (backend) {
+    case 'blobs':
+      return createBlobJobStore({ event, name });
+
+    case 'file':
+      return createFileJobStore(dir ? { dir } : { name });
+
+    default:
+      throw new Error(`Unknown JOB_STORE "${backend}"`);
+  }
+}
+
+/**
+ * Apply changes to a stored job.
+ *
+ * @returns {Promise<Object|null>} the updated job, or null if it no longer exists
+ */
+async function updateJob(store, id, changes) {
+  const job = await store.get(id);
+  if (!job) {
+    return null;
+  }
+
+  const updated = { ...job, ...changes };
+  await store.set(id, updated);
+  return updated;
+}
+
+module.exports = {
+  createBlobJobStore,
+  createFileJobStore,
+  getJobStore,
+  updateJob
+};
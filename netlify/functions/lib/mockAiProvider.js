@@ -0,0 +1,276 @@
+const { Readable } = require('stream');
+const { Response } = require('node-fetch');
+const ReflectionFormat = require('../../../shared/reflectionFormat');
+const { DEFAULT_TRANSLATION, TRANSLATIONS, hasLocalText, lookupPassage } = require('./bible');
+// Sample text of the mock verses in the languages with no local Bible text
+const MOCK_VERSES = require('./mockVerses.json');
+
+// Well-known verses the mock provider picks its search results from
+const MOCK_VERSE_REFERENCES = [
+  'John 3:16', 'Romans 8:28', 'Philippians 4:6-7', 'Proverbs 3:5-6', 'Isaiah 40:31',
+  'Psalm 23:1-3', 'Jeremiah 29:11', 'Matthew 11:28-30', '1 Corinthians 13:4-7',
+  'Ephesians 2:8-9', 'Psalm 46:1', 'Joshua 1:9', 'Colossians 3:13', 'Hebrews 11:1',
+  'James 1:5', '1 John 1:9', 'Lamentations 3:22-23', 'Micah 6:8', 'Galatians 5:22-23',
+  'Romans 12:2', 'Psalm 119:105', '2 Corinthians 5:17', 'Matthew 6:33', '1 Peter 5:7'
+];
+
+// Topics the mock topic evaluation rejects, so the rejection path can be exercised
+const MOCK_REJECTED_TERMS = /\b(porn|sex|nude|casino|gambling|pizza|bitcoin)\b/i;
+
+// Canned wording for the languages prompts can ask for (see languageNote in bible.js)
+const MOCK_TEXT = {
+  en: {
+    accepted: 'Mock provider: this topic can be addressed from a biblical perspective.',
+    rejected: 'Mock provider: this topic matches a rejected term.',
+    title: topic => `Reflection on ${topic}`,
+    intro: topic => `This is a mock reflection on "${topic}", generated locally without calling an AI service.`,
+    body: citation => `The verses above speak to God's faithfulness in every season${citation}. They remind us that we are not alone, and that his word is a lamp to our feet as we walk through questions like this one.`,
+    application: 'Take a few minutes today to read these passages slowly, noticing which phrase stands out to you, and carry it with you through the day.',
+    prayer: topic => `Lord, teach me what your word says about ${topic}, and help me to live it out today. Amen.`,
+    icebreaker: topic => `When did you last think about ${topic}?`,
+    questions: ['What do these verses say about God?', 'What do they ask of us?'],
+    point: number => `Point ${number} of the mock outline`,
+    illustration: 'A mock illustration from everyday life.',
+    planTitle: (days, topic) => `${days} days on ${topic}`,
+    dayTitle: (day, reference) => `Day ${day}: ${reference}`,
+    dayReflection: (day, topic, reference) => `This is a mock reflection for day ${day} of a plan on "${topic}". Read ${reference} slowly and notice what it says about God.`
+  },
+  es: {
+    accepted: 'Proveedor de prueba: este tema puede tratarse desde una perspectiva bíblica.',
+    rejected: 'Proveedor de prueba: este tema coincide con un término rechazado.',
+    title: topic => `Reflexión sobre ${topic}`,
+    intro: topic => `Esta es una reflexión de prueba sobre "${topic}", generada localmente sin llamar a un servicio de IA.`,
+    body: citation => `Los versículos de arriba hablan de la fidelidad de Dios en cada etapa${citation}. Nos recuerdan que no estamos solos y que su palabra es lámpara a nuestros pies.`,
+    application: 'Toma unos minutos hoy para leer estos pasajes despacio, fíjate en la frase que más te llame la atención y llévala contigo durante el día.',
+    prayer: topic => `Señor, enséñame lo que tu palabra dice sobre ${topic} y ayúdame a vivirlo hoy. Amén.`,
+    icebreaker: topic => `¿Cuándo fue la última vez que pensaste en ${topic}?`,
+    questions: ['¿Qué dicen estos versículos sobre Dios?', '¿Qué nos piden?'],
+    point: number => `Punto ${number} del bosquejo de prueba`,
+    illustration: 'Una ilustración de prueba de la vida diaria.',
+    planTitle: (days, topic) => `${days} días sobre ${topic}`,
+    dayTitle: (day, reference) => `Día ${day}: ${reference}`,
+    dayReflection: (day, topic, reference) => `Esta es una reflexión de prueba para el día ${day} de un plan sobre "${topic}". Lee ${reference} despacio y fíjate en lo que dice sobre Dios.`
+  },
+  pt: {
+    accepted: 'Provedor de teste: este tema pode ser tratado a partir de uma perspectiva bíblica.',
+    rejected: 'Provedor de teste: este tema corresponde a um termo rejeitado.',
+    title: topic => `Reflexão sobre ${topic}`,
+    intro: topic => `Esta é uma reflexão de teste sobre "${topic}", gerada localmente sem chamar um serviço de IA.`,
+    body: citation => `Os versículos acima falam da fidelidade de Deus em todas as estações${citation}. Eles nos lembram que não estamos sozinhos e que a sua palavra é lâmpada para os nossos pés.`,
+    application: 'Reserve alguns minutos hoje para ler estas passagens devagar, perceba qual frase se destaca para você e leve-a consigo ao longo do dia.',
+    prayer: topic => `Senhor, ensina-me o que a tua palavra diz sobre ${topic} e ajuda-me a vivê-lo hoje. Amém.`,
+    icebreaker: topic => `Quando foi a última vez que você pensou em ${topic}?`,
+    questions: ['O que estes versículos dizem sobre Deus?', 'O que eles nos pedem?'],
+    point: number => `Ponto ${number} do esboço de teste`,
+    illustration: 'Uma ilustração de teste do dia a dia.',
+    planTitle: (days, topic) => `${days} dias sobre ${topic}`,
+    dayTitle: (day, reference) => `Dia ${day}: ${reference}`,
+    dayReflection: (day, topic, reference) => `Esta é uma reflexão de teste para o dia ${day} de um plano sobre "${topic}". Leia ${reference} devagar e perceba o que diz sobre Deus.`
+  }
+};
+
+// The language the system prompt asks for, English unless it names another
+function requestedLanguage(request) {
+  const system = (request.messages || []).filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const match = system.match(/\bin (Spanish|Portuguese)\b/);
+  return match ? { Spanish: 'es', Portuguese: 'pt' }[match[1]] : 'en';
+}
+
+// The translation a verse search asks for, from "quoted from the King James Version (KJV)"
+function requestedTranslation(request) {
+  const system = (request.messages || []).filter(message => message.role === 'system').map(message => message.content).join('\n');
+  const match = system.match(/quoted from the .+? \(([A-Z0-9]+)\)/);
+  return match && TRANSLATIONS[match[1]] ? match[1] : DEFAULT_TRANSLATION;
+}
+
+// The reflection mode a request is for, from the wording of its prompt (see MODE_PROMPTS in reflectionPrompt.js)
+const MOCK_MODE_PATTERNS = {
+  children: /children's devotion/,
+  'small-group': /small-group discussion guide/,
+  sermon: /sermon or lesson outline/,
+  prayer: /Write a prayer on/
+};
+
+function requestedMode(request) {
+  const prompt = (request.messages || []).map(message => message.content).join('\n');
+  return Object.keys(MOCK_MODE_PATTERNS).find(mode => MOCK_MODE_PATTERNS[mode].test(prompt)) || ReflectionFormat.DEFAULT_MODE;
+}
+
+// Small deterministic string hash (FNV-1a)
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619) >>> 0;
+  }
+  return hash;
+}
+
+// The topic is the first quoted string in the last user message
+function extractTopic(request) {
+  const userMessages = (request.messages || []).filter(message => message.role === 'user');
+  const content = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+  const match = content.match(/"([^"]+)"/);
+  return match ? match[1] : content.trim() || 'faith';
+}
+
+// A mock verse quoted from the translation if its text is local, else from the language's own
+// local text: the KJV for English, the sample text in mockVerses.json for the others
+function mockVerse(reference, translation, language) {
+  if (hasLocalText(translation)) {
+    const passage = lookupPassage(reference, translation);
+    return { reference: passage.reference, text: passage.text };
+  }
+  if (MOCK_VERSES[language]) {
+    return { reference, text: MOCK_VERSES[language][reference] };
+  }
+  const passage = lookupPassage(reference, DEFAULT_TRANSLATION);
+  return { reference: passage.reference, text: passage.text };
+}
+
+// Pick 5 verses deterministically from the query
+function pickVerses(topic, translation, language) {
+  const start = hashString(topic.toLowerCase()) % MOCK_VERSE_REFERENCES.length;
+  const verses = [];
+  for (let i = 0; i < 5; i++) {
+    verses.push(mockVerse(MOCK_VERSE_REFERENCES[(start + i * 5) % MOCK_VERSE_REFERENCES.length], translation, language));
+  }
+  return verses;
+}
+
+function evaluateTopic(topic, language) {
+  const rejected = MOCK_REJECTED_TERMS.test(topic);
+  return {
+    canBeAddressed: !rejected,
+    reason: rejected ? MOCK_TEXT[language].rejected : MOCK_TEXT[language].accepted
+  };
+}
+
+// A reflection citing the first two verses it was given, in the shared reflection format
+// and with the sections its mode asks for
+function writeReflection(topic, request) {
+  const userMessages = (request.messages || []).filter(message => message.role === 'user');
+  const prompt = userMessages.map(message => message.content).join('\n');
+  const references = ReflectionFormat.citedReferences(prompt).slice(0, 2);
+  const citation = references.length > 0 ? ` (${references.join('; ')})` : '';
+  const text = MOCK_TEXT[requestedLanguage(request)];
+  const mode = requestedMode(request);
+
+  return ReflectionFormat.format({
+    title: text.title(topic),
+    paragraphs: mode === 'prayer' ? [] : [text.intro(topic), text.body(citation)],
+    icebreaker: mode === 'small-group' ? text.icebreaker(topic) : '',
+    questions: mode === 'small-group' || mode === 'children' ? text.questions : [],
+    points: mode === 'sermon' ? [1, 2, 3].map(number => ({ title: text.point(number), text: text.body(citation), illustration: text.illustration })) : [],
+    application: mode === 'prayer' || mode === 'children' ? '' : text.application,
+    prayer: text.prayer(topic),
+    references
+  });
+}
+
+// A reading plan with the number of days asked for, walking through the mock verses
+function writePlan(topic, request) {
+  const userMessages = (request.messages || []).filter(message => message.role === 'user');
+  const match = userMessages.map(message => message.content).join('\n').match(/Days: (\d+)/);
+  const days = match ? parseInt(match[1], 10) : 7;
+  const start = hashString(topic.toLowerCase()) % MOCK_VERSE_REFERENCES.length;
+  const text = MOCK_TEXT[requestedLanguage(request)];
+
+  return {
+    title: text.planTitle(days, topic),
+    days: Array.from({ length: days }, (_, index) => {
+      const reference = MOCK_VERSE_REFERENCES[(start + index) % MOCK_VERSE_REFERENCES.length];
+      return {
+        reference,
+        title: text.dayTitle(index + 1, reference),
+        reflection: text.dayReflection(index + 1, topic, reference)
+      };
+    })
+  };
+}
+
+// A context note naming the chapter it was asked about
+function writeContextNote(chapter) {
+  return `This is a mock note on the historical and literary context of ${chapter}, generated locally without calling an AI service. A real note says who wrote the book and for whom, what kind of writing it is, and where this chapter sits in the book.`;
+}
+
+// Pause between streamed chunks so progressive rendering can be seen locally
+const MOCK_STREAM_DELAY_MS = 30;
+
+// Stream content word by word as OpenAI-style server-sent events
+async function* streamEvents(id, content) {
+  const pieces = content.match(/\S+\s*|\s+/g) || [];
+  for (const piece of pieces) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+    const event = {
+      id,
+      object: 'chat.completion.chunk',
+      choices: [{ index: 0, delta: { content: piece }, finish_reason: null }]
+    };
+    yield `data: ${JSON.stringify(event)}\n\n`;
+  }
+  yield 'data: [DONE]\n\n';
+}
+
+/**
+ * Deterministic chat-completion provider for local development and CI.
+ *
+ * Returns canned but well-formed responses for each task without touching the
+ * network, so the app can run with no API key. The same request always gets
+ * the same response.
+ */
+function createMockProvider() {
+  return {
+    name: 'Mock',
+
+    async createChatCompletion(request, { task } = {}) {
+      const topic = extractTopic(request);
+      let content;
+
+      if (task === 'topic-evaluation') {
+        content = JSON.stringify(evaluateTopic(topic, requestedLanguage(request)));
+      } else if (task === 'verse-search') {
+        content = JSON.stringify({ verses: pickVerses(topic, requestedTranslation(request), requestedLanguage(request)) });
+      } else if (task === 'reading-plan') {
+        content = JSON.stringify(writePlan(topic, request));
+      } else if (task === 'context-note') {
+        content = writeContextNote(topic);
+      } else {
+        content = writeReflection(topic, request);
+      }
+
+      const id = `mock-${hashString(JSON.stringify(request.messages || [])).toString(36)}`;
+
+      if (request.stream) {
+        return new Response(Readable.from(streamEvents(id, content)), {
+          status: 200,
+          headers: { 'Content-Type': 'text/event-stream' }
+        });
+      }
+
+      const body = {
+        id,
+        object: 'chat.completion',
+        created: 0,
+        model: request.model || 'mock',
+        choices: [
+          {
+            index: 0,
+            message: { role: 'assistant', content },
+            finish_reason: 'stop'
+          }
+        ],
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+
+      return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  };
+}
+
+module.exports = {
+  createMockProvider
+};
@@ -0,0 +1,193 @@
+const { DEFAULT_BUDGET_MS, completeChat } = require('./aiClient');
+const ScriptureReference = require('../../../shared/scriptureReference');
+const { DEFAULT_TRANSLATION, getParagraphStarts, getVerseCount, getVerseText, hasLocalText } = require('./bible');
+const { cacheKey, getCacheTtlSeconds } = require('./responseCache');
+
+/**
+ * Reading a verse in context: the paragraph or whole chapter around a
+ * reference, read from the local Bible text with the cited verses marked,
+ * and a short note on the chapter's historical and literary context.
+ *
+ * The text needs no AI call. The note does, so it is written once per
+ * chapter and kept in the response cache; it doesn't depend on the
+ * translation.
+ */
+
+// A paragraph shorter than this is widened by its neighbours
+const MIN_CONTEXT_VERSES = 5;
+// Notes are a few sentences; anything much longer is cut
+const MAX_NOTE_LENGTH = 1500;
+
+function chapterReference(book, chapter) {
+  return ScriptureReference.format([{ book, chapter, verseStart: null, chapterEnd: chapter, verseEnd: null }]);
+}
+
+// The chapter before or after one, across book boundaries; null at either end of the Bible
+function neighbouringChapter(book, chapter, step) {
+  const index = ScriptureReference.BOOKS.findIndex(b => b.name === book);
+  const target = chapter + step;
+
+  if (target >= 1 && target <= ScriptureReference.BOOKS[index].chapters) {
+    return chapterReference(book, target);
+  }
+
+  const neighbour = ScriptureReference.BOOKS[index + step];
+  if (!neighbour) {
+    return null;
+  }
+  return chapterReference(neighbour.name, step > 0 ? 1 : neighbour.chapters);
+}
+
+// The verse numbers a reference cites within one chapter
+function citedVerses(ranges, book, chapter, verseCount) {
+  const cited = new Set();
+  ranges.forEach(range => {
+    // Whole chapters are read, not highlighted
+    if (range.book !== book || range.verseStart === null || chapter < range.chapter || chapter > range.chapterEnd) {
+      return;
+    }
+    const first = chapter === range.chapter ? range.verseStart : 1;
+    const last = chapter === range.chapterEnd ? range.verseEnd : verseCount;
+    for (let verse = first; verse <= Math.min(last, verseCount); verse++) {
+      cited.add(verse);
+    }
+  });
+  return cited;
+}
+
+// The paragraph(s) holding the cited verses, widened to at least MIN_CONTEXT_VERSES
+function paragraphBounds(book, chapter, cited, verseCount) {
+  const starts = getParagraphStarts(book, chapter);
+  const paragraphStart = verse => Math.max(...starts.filter(start => start <= verse));
+  const paragraphEnd = verse => {
+    const next = starts.find(start => start > verse);
+    return next ? next - 1 : verseCount;
+  };
+
+  let from = paragraphStart(Math.min(...cited));
+  let to = paragraphEnd(Math.max(...cited));
+  while (to - from + 1 < MIN_CONTEXT_VERSES && (from > 1 || to < verseCount)) {
+    from = from > 1 ? paragraphStart(from - 1) : from;
+    to = to < verseCount ? paragraphEnd(to + 1) : to;
+  }
+  return { from, to };
+}
+
+/**
+ * Read the text around a reference. Only the chapter the reference starts
+ * in is read.
+ *
+ * @param {string} reference - e.g. "John 3:16", or "John 3" for a whole chapter
+ * @param {Object} [options]
+ * @param {string} [options.translation] - translations without local text fall back to the KJV
+ * @param {string} [options.scope] - "paragraph" (the default) or "chapter"; a reference to a whole chapter always reads the chapter
+ * @returns {Object|null} {reference, passage, scope, translation, verses: Array<{reference, text, translation, cited}>,
+ *   previousChapter, nextChapter}, or null if the reference isn't a valid one
+ */
+function getPassageContext(reference, { translation = DEFAULT_TRANSLATION, scope = 'paragraph' } = {}) {
+  const ranges = ScriptureReference.parse(reference);
+  if (ranges.length === 0) {
+    return null;
+  }
+
+  const local = hasLocalText(translation) ? translation : DEFAULT_TRANSLATION;
+  const { book, chapter } = ranges[0];
+  const verseCount = getVerseCount(book, chapter, local);
+  if (verseCount === 0) {
+    return null;
+  }
+
+  const cited = citedVerses(ranges, book, chapter, verseCount);
+  const readChapter = scope === 'chapter' || cited.size === 0;
+  const { from, to } = readChapter ? { from: 1, to: verseCount } : paragraphBounds(book, chapter, cited, verseCount);
+
+  const verses = [];
+  for (let verse = from; verse <= to; verse++) {
+    const text = getVerseText(book, chapter, verse, local);
+    if (text !== null) {
+      verses.push({
+        reference: ScriptureReference.formatRange({ book, chapter, verseStart: verse, chapterEnd: chapter, verseEnd: verse }),
+        text,
+        translation: local,
+        cited: cited.has(verse)
+      });
+    }
+  }
+
+  return {
+    reference: ScriptureReference.format(ranges),
+    passage: readChapter
+      ? chapterReference(book, chapter)
+      : ScriptureReference.formatRange({ book, chapter, verseStart: from, chapterEnd: chapter, verseEnd: to }),
+    scope: readChapter ? 'chapter' : 'paragraph',
+    translation: local,
+    verses,
+    previousChapter: neighbouringChapter(book, chapter, -1),
+    nextChapter: neighbouringChapter(book, chapter, 1)
+  };
+}
+
+function buildContextNoteRequest(chapter) {
+  return {
+    model: "gpt-4-turbo",
+    messages: [
+      {
+        role: "system",
+        content: `You are a Bible teacher who helps ordinary readers understand a chapter of Scripture in its setting.
+Write a short note of 80 to 120 words on the historical and literary context of the chapter you are given:
+who wrote the book and for whom, when and in what situation, what kind of writing it is (narrative, poetry, prophecy, letter and so on), and where this chapter sits in the flow of the book.
+Where scholars disagree, say so briefly rather than taking a side. Write plain prose in one or two paragraphs, with no headings or lists.`
+      },
+      {
+        role: "user",
+        content: `Chapter: "${chapter}"`
+      }
+    ],
+    temperature: 0.3,
+    max_tokens: 300
+  };
+}
+
+/**
+ * Get the historical and literary context note for the chapter a reference is
+ * in, from the response cache or written by the AI.
+ *
+ * @param {string} reference - any reference; the note covers the chapter it starts in
+ * @param {Object} options
+ * @param {Object} options.cache - a response cache from getResponseCache
+ * @param {number} [options.deadline] - time (ms since epoch) by which the AI call must finish
+ * @returns {Promise<{reference: string, note: string, cachedAt: number|null}|null>} null if the reference isn't a valid one
+ */
+async function getContextNote(reference, { cache, deadline = Date.now() + DEFAULT_BUDGET_MS }) {
+  const ranges = ScriptureReference.parse(reference);
+  if (ranges.length === 0 || getVerseCount(ranges[0].book, ranges[0].chapter) === 0) {
+    return null;
+  }
+
+  const chapter = chapterReference(ranges[0].book, ranges[0].chapter);
+  const key = cacheKey('context-note', chapter);
+  const cached = await cache.get(key);
+  if (cached) {
+    console.log(`Context note cache hit for ${chapter}`);
+    return { reference: chapter, note: cached.value, cachedAt: cached.storedAt };
+  }
+
+  console.log(`Writing the context note for ${chapter}`);
+  const content = await completeChat(buildContextNoteRequest(chapter), {
+    task: 'context-note',
+    timeout: Math.max(deadline - Date.now(), 1000),
+    deadline
+  });
+
+  const note = String(content).trim().slice(0, MAX_NOTE_LENGTH);
+  if (!note) {
+    throw new Error('The context note was empty');
+  }
+  await cache.set(key, note, getCacheTtlSeconds());
+  return { reference: chapter, note, cachedAt: null };
+}
+
+module.exports = {
+  getContextNote,
+  getPassageContext
+};
@@ -0,0 +1,218 @@
+const RATE_LIMIT_STORE_NAME = 'rate-limits';
+
+// How often the memory store drops expired buckets
+const MEMORY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Rate limit policies, by route. Each client gets a token bucket per policy
+ * holding up to `limit` requests, refilled steadily over `windowSeconds`, so
+ * short bursts are allowed but the sustained rate is limit/window.
+ */
+const POLICIES = {
+  // Topic check plus verse search: two AI calls
+  'verse-search': { limit: 10, windowSeconds: 60 },
+  // Served from the local Bible text, no AI call
+  'passage-lookup': { limit: 30, windowSeconds: 60 },
+  // Starting a reflection (local, polled or streamed)
+  'reflection': { limit: 5, windowSeconds: 60 },
+  // Polling a reflection job's status
+  'status-check': { limit: 60, windowSeconds: 60 },
+  // A chapter's context note; most are served from the response cache
+  'context-note': { limit: 10, windowSeconds: 60 },
+  // Starting a reading plan: a verse search plus one long AI call
+  'plan': { limit: 3, windowSeconds: 600 },
+  // Creating or revoking a shared reflection, which is stored until revoked
+  'share': { limit: 10, windowSeconds: 600 },
+  // Reading a shared reflection, through the API or its /r/ page
+  'share-view': { limit: 60, windowSeconds: 60 },
+  // Reading the stored daily devotional, no AI call
+  'daily': { limit: 60, windowSeconds: 60 }
+};
+
+/**
+ * Rate limit stores hold each bucket's state between requests. Every store
+ * implements the same async interface:
+ * - get(key) - the bucket state, or null if there is none
+ * - set(key, state, ttlMs) - save the bucket state; it may be forgotten after ttlMs
+ *
+ * Updates are read-then-write, so concurrent requests from one client on
+ * different instances can occasionally slip an extra request through.
+ */
+
+// Store kept in this function instance; a stand-in for local runs
+function createMemoryRateLimitStore() {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = buckets.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.state : null;
+    },
+
+    async set(key, state, ttlMs) {
+      const now = Date.now();
+
+      // Drop expired buckets so the map doesn't grow without bound; at most once
+      // an interval, so a busy instance doesn't walk every bucket on each request
+      if (now - lastSweep >= MEMORY_SWEEP_INTERVAL_MS) {
+        lastSweep = now;
+        buckets.forEach((entry, existingKey) => {
+          if (entry.expiresAt <= now) {
+            buckets.delete(existingKey);
+          }
+        });
+      }
+
+      buckets.set(key, { state, expiresAt: now + ttlMs });
+    }
+  };
+}
+
+/**
+ * Store backed by Netlify Blobs, shared by every instance of every function.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.event] - the Lambda event, which carries the Blobs credentials
+ */
+function createBlobRateLimitStore({ event } = {}) {
+  const { connectLambda, getStore } = require('@netlify/blobs');
+
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+
+  const store = getStore({ name: RATE_LIMIT_STORE_NAME, consistency: 'strong' });
+
+  return {
+    name: 'Netlify Blobs',
+
+    async get(key) {
+      const entry = await store.get(encodeURIComponent(key), { type: 'json' });
+      return entry && entry.expiresAt > Date.now() ? entry.state : null;
+    },
+
+    set(key, state, ttlMs) {
+      return store.setJSON(encodeURIComponent(key), { state, expiresAt: Date.now() + ttlMs });
+    }
+  };
+}
+
+// Buckets kept in memory live as long as the instance, so share one store per instance
+let memoryStore = null;
+
+/**
+ * Get the rate limit store for a function invocation.
+ *
+ * RATE_LIMIT_STORE selects the implementation:
+ * - "blobs": Netlify Blobs (the default when deployed on Netlify)
+ * - "memory": this function instance's memory (the default everywhere else)
+ *
+ * @param {Object} [event] - the Lambda event for this invocation
+ */
+function getRateLimitStore(event) {
+  const onNetlify = Boolean(event && event.blobs);
+  const backend = (process.env.RATE_LIMIT_STORE || (onNetlify ? 'blobs' : 'memory')).toLowerCase();
+
+  switch (backend) {
+    case 'blobs':
+      return createBlobRateLimitStore({ event });
+
+    case 'memory':
+      memoryStore = memoryStore || createMemoryRateLimitStore();
+      return memoryStore;
+
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}"`);
+  }
+}
+
+/**
+ * The client's IP address. Netlify sets x-nf-client-connection-ip (and
+ * client-ip) itself, whereas x-forwarded-for can be set by the client, so it
+ * is never trusted.
+ */
+function getClientIp(event) {
+  const headers = (event && event.headers) || {};
+  return headers['x-nf-client-connection-ip'] || headers['client-ip'] || 'unknown-ip';
+}
+
+// Standard RateLimit-* response headers (IETF draft "RateLimit header fields for HTTP")
+function rateLimitHeaders(policy, remaining, resetSeconds) {
+  return {
+    'RateLimit-Policy': `${policy.limit};w=${policy.windowSeconds}`,
+    'RateLimit-Limit': String(policy.limit),
+    'RateLimit-Remaining': String(remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'Access-Control-Expose-Headers': 'RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After'
+  };
+}
+
+/**
+ * Take a request from the client's bucket for a policy.
+ *
+ * Fails open: if the store can't be reached the request is allowed, so an
+ * outage of the store doesn't take the whole app down with it.
+ *
+ * @param {Object} event - the Lambda event
+ * @param {string} policyName - a key of POLICIES
+ * @returns {Promise<{allowed: boolean, remaining: number, retryAfterSeconds: number, headers: Object}>}
+ *   `headers` should be sent with the response whether or not the request is allowed;
+ *   `retryAfterSeconds` is how long until the next request would be allowed
+ */
+async function checkRateLimit(event, policyName) {
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  const ip = getClientIp(event);
+  const key = `${policyName}:${ip}`;
+  const refillPerMs = policy.limit / (policy.windowSeconds * 1000);
+  const now = Date.now();
+
+  try {
+    const store = getRateLimitStore(event);
+    const state = await store.get(key);
+
+    // Refill the bucket for the time since it was last used
+    let tokens = state
+      ? Math.min(policy.limit, state.tokens + (now - state.updatedAt) * refillPerMs)
+      : policy.limit;
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+      tokens -= 1;
+    }
+
+    const msUntilFull = (policy.limit - tokens) / refillPerMs;
+    await store.set(key, { tokens, updatedAt: now }, Math.ceil(msUntilFull) + 1000);
+
+    const remaining = Math.floor(tokens);
+    const retryAfterSeconds = allowed ? 0 : Math.ceil((1 - tokens) / refillPerMs / 1000);
+
+    if (!allowed) {
+      console.log(`Rate limit exceeded for IP: ${ip} (${policyName})`);
+    }
+
+    return {
+      allowed,
+      remaining,
+      retryAfterSeconds,
+      headers: rateLimitHeaders(policy, remaining, Math.ceil(msUntilFull / 1000))
+    };
+  } catch (error) {
+    console.error('Rate limit check failed, allowing request:', error.message);
+    return { allowed: true, remaining: policy.limit, retryAfterSeconds: 0, headers: {} };
+  }
+}
+
+module.exports = {
+  POLICIES,
+  checkRateLimit,
+  createBlobRateLimitStore,
+  createMemoryRateLimitStore,
+  getClientIp
+};
@@ -0,0 +1,157 @@
+const { completeChat } = require('./aiClient');
+const { DEFAULT_LANGUAGE, DEFAULT_TRANSLATION, TRANSLATIONS, hasLocalText, languageNote, lookupPassageVerses } = require('./bible');
+
+/**
+ * Reading plans: a 7-, 14- or 30-day journey through a topic, one passage a
+ * day with a short reflection on it.
+ *
+ * A plan starts from the verse search for its topic (see verseSearch.js),
+ * whose verses anchor the plan, and is written by the reflection job
+ * background function, since a month of readings takes longer than a
+ * request may. Each day's passage is then read from the local Bible text.
+ *
+ * A plan:
+ * {
+ *   topic: string,
+ *   title: string,
+ *   translation: string,   // the local text the verses come from
+ *   requestedTranslation?: string, // the translation asked for, if there is no local text for it
+ *   language: string,      // the language the titles and reflections are written in
+ *   days: Array<{day: number, reference: string, title: string, reflection: string, verses: Array}>
+ * }
+ */
+
+// A day's reading; longer passages suggested by the model are dropped
+const MAX_DAY_VERSES = 40;
+// gpt-4-turbo writes at most 4096 tokens, and a day takes about 100
+const MAX_PLAN_TOKENS = 4096;
+const TOKENS_PER_DAY = 125;
+
+/**
+ * Build the chat-completion request for a plan.
+ *
+ * @param {string} topic
+ * @param {number} days - 7, 14 or 30
+ * @param {Array<{reference: string}>} anchors - verses from the topic's verse search
+ * @param {string} translation - translation code the reflections should quote from
+ * @param {string} [language] - a key of LANGUAGES, the language to write the plan in
+ * @returns {Object} OpenAI chat-completion request body
+ */
+function buildPlanRequest(topic, days, anchors, translation, language = DEFAULT_LANGUAGE) {
+  const anchorList = anchors.map(verse => verse.reference).join('; ');
+
+  return {
+    model: "gpt-4-turbo",
+    messages: [
+      {
+        role: "system",
+        content: `You are a Christian devotional writer who designs Bible reading plans for small groups.
+Plan a journey through the given topic with one passage for each day, in an order that builds from day to day.
+Each passage should be a short reading of 3 to 20 verses. Use each passage only once, and draw on both Testaments where it fits.
+For each day write a title and a short reflection of two to four sentences that helps the reader meditate on the passage.
+Quote any Scripture from the ${TRANSLATIONS[translation].name} (${translation}).
+
+Your response must be in JSON format with this structure:
+{
+  "title": "A title for the whole plan",
+  "days": [
+    { "reference": "Psalm 23:1-6", "title": "The Lord is my shepherd", "reflection": "Two to four sentences." }
+  ]
+}
+
+Give exactly the number of days asked for, with accurate references.${languageNote(language, 'Write the titles and reflections in {language}, but write each reference with its English book name (e.g. "Psalm 23:1-6"), so it can be checked.')}`
+      },
+      {
+        role: "user",
+        content: `Topic: "${topic}"\nDays: ${days}\nVerses to build on: ${anchorList}`
+      }
+    ],
+    temperature: 0.5,
+    max_tokens: Math.min(MAX_PLAN_TOKENS, 200 + days * TOKENS_PER_DAY),
+    response_format: { type: "json_object" }
+  };
+}
+
+/**
+ * Parse the model's plan, reading each day's verses from the local Bible.
+ * Days whose reference can't be found, repeats, and over-long passages are
+ * dropped, and the rest renumbered. A translation with no local text (such
+ * as RVR1960) is read from the KJV instead, and the plan says so in
+ * `requestedTranslation`.
+ *
+ * @param {string} content - the model's reply
+ * @param {{topic: string, days: number, translation: string, language?: string}} input
+ * @returns {Object} the plan
+ * @throws {Error} if the reply isn't a plan or has no usable days
+ */
+function parsePlan(content, { topic, days, translation, language = DEFAULT_LANGUAGE }) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error('The reading plan was not valid JSON');
+  }
+
+  const local = hasLocalText(translation) ? translation : DEFAULT_TRANSLATION;
+  const seen = new Set();
+  const planDays = [];
+
+  (Array.isArray(data && data.days) ? data.days : []).forEach(day => {
+    if (!day || typeof day.reference !== 'string' || planDays.length >= days) {
+      return;
+    }
+
+    const passage = lookupPassageVerses(day.reference, local);
+    if (!passage || passage.verses.length > MAX_DAY_VERSES || seen.has(passage.reference)) {
+      console.log(`Dropping plan day with unusable reference: ${day.reference}`);
+      return;
+    }
+    seen.add(passage.reference);
+
+    planDays.push({
+      day: planDays.length + 1,
+      reference: passage.reference,
+      title: String(day.title || passage.reference).trim(),
+      reflection: String(day.reflection || '').trim(),
+      verses: passage.verses
+    });
+  });
+
+  if (planDays.length === 0) {
+    throw new Error('The reading plan had no valid passages');
+  }
+  if (planDays.length < days) {
+    console.log(`Reading plan for "${topic}" has ${planDays.length} of ${days} days`);
+  }
+
+  return {
+    topic,
+    title: String((data && data.title) || `${days} days on ${topic}`).trim(),
+    translation: local,
+    ...(local !== translation ? { requestedTranslation: translation } : {}),
+    language,
+    days: planDays
+  };
+}
+
+/**
+ * Write a plan with the AI.
+ *
+ * @param {{topic: string, days: number, translation: string, language?: string, verses: Array}} input - the job input
+ * @param {Object} options - passed on to completeChat (timeout, maxRetries, deadline, onRetry)
+ * @returns {Promise<Object>} the plan
+ */
+async function generatePlan(input, options) {
+  console.log(`Generating a ${input.days}-day reading plan on "${input.topic}"`);
+  const content = await completeChat(buildPlanRequest(input.topic, input.days, input.verses, input.translation, input.language), {
+    ...options,
+    task: 'reading-plan'
+  });
+  return parsePlan(content, input);
+}
+
+module.exports = {
+  buildPlanRequest,
+  generatePlan,
+  parsePlan
+};
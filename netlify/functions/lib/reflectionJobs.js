@@ -0,0 +1,159 @@
+const fetch = require('node-fetch');
+const { updateJob } = require('./jobStore');
+
+/**
+ * Reflection jobs: created by a request, generated by the
+ * reflectionJob-background function and read back by status checks. Shared
+ * by reflectionStatus and the /api/v1/reflections routes.
+ *
+ * Reading plans (see readingPlans.js) run as jobs of kind "plan" in the same
+ * store; every other job is a reflection.
+ */
+
+const MAX_STORE_AGE_MS = 30 * 60 * 1000; // 30 minutes max storage
+const RESULT_RETENTION_MS = 60 * 1000; // Keep finished jobs for 1 minute after they are first read
+const CLEANUP_INTERVAL_MS = 60 * 1000; // Sweep the store at most once a minute per instance
+
+// Background function that generates the reflection for a stored job
+const WORKER_PATH = '/.netlify/functions/reflectionJob-background';
+
+// Job IDs are generated by generateUniqueId
+const JOB_ID_PATTERN = /^[a-z0-9]{1,32}$/;
+
+let lastCleanup = 0;
+
+// Clean up stale entries in the job store
+async function cleanupStaleEntries(store) {
+  const now = Date.now();
+
+  // Listing the store costs a request per job, so don't sweep on every call
+  if (now - lastCleanup < CLEANUP_INTERVAL_MS) {
+    return;
+  }
+  lastCleanup = now;
+
+  const ids = await store.list();
+  await Promise.all(ids.map(async id => {
+    const entry = await store.get(id);
+    if (!entry) {
+      return;
+    }
+    // Convert ISO strings to timestamps for comparison
+    const startTime = new Date(entry.started).getTime();
+    const readAndExpired = entry.deleteAfter && now > new Date(entry.deleteAfter).getTime();
+    if (readAndExpired || now - startTime > MAX_STORE_AGE_MS) {
+      await store.delete(id);
+    }
+  }));
+}
+
+// Generate a unique ID for reflection requests
+function generateUniqueId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+// Base URL of the site serving this request, so the job runs on the same deploy
+function getSiteUrl(event) {
+  if (event.rawUrl) {
+    return new URL(event.rawUrl).origin;
+  }
+  if (event.headers.host) {
+    const protocol = event.headers['x-forwarded-proto'] || 'https';
+    return `${protocol}://${event.headers.host}`;
+  }
+  return process.env.URL;
+}
+
+// Invoke the background function for a job. Netlify answers 202 as soon as
+// the invocation is queued; the function then has up to 15 minutes to finish.
+async function startBackgroundJob(event, id) {
+  try {
+    const response = await fetch(`${getSiteUrl(event)}${WORKER_PATH}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id }),
+      timeout: 5000
+    });
+
+    if (response.status !== 202 && !response.ok) {
+      console.error(`Background function returned HTTP ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to invoke background function:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Store a pending job and hand it to the background function, which keeps
+ * running after the request that created it has been answered.
+ *
+ * @param {Object} event - the Lambda event, used to find the background function
+ * @param {Object} store - the job store
+ * @param {{topic: string, verses: Array, translation: string, language?: string, mode?: string}} input - validated input
+ *   (plans have `days` instead of `mode`)
+ * @param {string} [kind="reflection"] - "reflection" or "plan"
+ * @returns {Promise<string|null>} the job ID, or null if the background function couldn't be started
+ */
+async function createReflectionJob(event, store, input, kind = 'reflection') {
+  const id = generateUniqueId();
+
+  await store.set(id, {
+    kind,
+    status: 'pending',
+    started: new Date().toISOString(),
+    input,
+    result: null,
+    error: null
+  });
+
+  if (!(await startBackgroundJob(event, id))) {
+    await updateJob(store, id, {
+      status: 'error',
+      completed: new Date().toISOString(),
+      input: null,
+      error: 'Failed to start reflection generation'
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Read a job for a status check. Finished jobs are cleaned up a minute after
+ * their first read; the sweep in cleanupStaleEntries does the deleting, on
+ * whichever instance runs it.
+ *
+ * @param {Object} store - the job store
+ * @param {string} id
+ * @param {string} [kind="reflection"] - the kind of job expected; other kinds aren't found
+ * @returns {Promise<Object|null>} the stored job, or null if there is none
+ */
+async function readReflectionJob(store, id, kind = 'reflection') {
+  if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  const job = await store.get(id);
+  if (!job || (job.kind || 'reflection') !== kind) {
+    return null;
+  }
+
+  if (['completed', 'error'].includes(job.status) && !job.deleteAfter) {
+    await updateJob(store, id, {
+      deleteAfter: new Date(Date.now() + RESULT_RETENTION_MS).toISOString()
+    });
+  }
+
+  return job;
+}
+
+module.exports = {
+  cleanupStaleEntries,
+  createReflectionJob,
+  getSiteUrl,
+  readReflectionJob
+};
@@ -0,0 +1,286 @@
+const ReflectionFormat = require('../../../shared/reflectionFormat');
+const { DEFAULT_LANGUAGE, TRANSLATIONS, languageNote, translationForLanguage } = require('./bible');
+const { signReflection } = require('./reflectionSignature');
+
+// How each mode's reply starts and is laid out. Every mode writes the shared
+// reflection format; see MODES in shared/reflectionFormat.js for the fields each adds.
+const MODE_PROMPTS = {
+  devotional: {
+    system: source => `You are a Christian devotional writer with deep theological understanding and a gift for reflection. 
+Your goal is to create profound, thoughtful reflections on spiritual topics that engage the reader in meaningful contemplation.
+Your reflections should be original, insightful, and thought-provoking, not merely explanations of Bible verses.
+Include scriptural references naturally within your writing, but don't simply explain the verses.
+Quote any Scripture from the ${source}.
+End with a heartfelt prayer that relates to the topic and the spiritual journey of the reader.
+
+Write in exactly this format, with these headings and nothing before the title:
+
+# A thoughtful title
+
+Two to four paragraphs of reflection, separated by blank lines. Cite verses by reference, e.g. (John 3:16).
+
+## Application
+One short paragraph on how the reader can live this out today.
+
+## Prayer
+A prayer of two to four sentences.
+
+## References
+The Scripture references you cited, separated by semicolons.`,
+    user: (topic, versesText) => `Write a deep, thoughtful Christian reflection on the topic of "${topic}". 
+          
+Some relevant scriptures for this topic include:
+
+${versesText}
+
+However, don't simply explain these verses. Instead, provide a robust, contemplative reflection on the topic itself. 
+Consider theological implications, personal application, and spiritual growth. 
+The reflection should be profound and insightful, drawing on biblical wisdom but not limited to only the verses listed.
+End with a meaningful prayer related to this topic.`,
+    sections: 'the title, reflection, application and prayer',
+    headings: ['## Application', '## Prayer', '## References']
+  },
+
+  children: {
+    system: source => `You are a children's ministry writer who helps parents and teachers share the Bible with children aged 5 to 10.
+Write a devotion for a child to read with a grown-up. Use short sentences and simple, everyday words, explain any Bible word a child might not know, and make it warm and concrete, with an example from a child's everyday life.
+Quote any Scripture from the ${source}, keeping quotations short.
+
+Write in exactly this format, with these headings and nothing before the title:
+
+# A short, friendly title
+
+Two or three short paragraphs that tell the story or explain the idea. Cite verses by reference, e.g. (John 3:16).
+
+## Questions
+Two or three simple questions to talk about together, as a numbered list.
+
+## Prayer
+A prayer of one to three short sentences that a child can pray.
+
+## References
+The Scripture references you cited, separated by semicolons.`,
+    user: (topic, versesText) => `Write a children's devotion on the topic of "${topic}".
+
+Some relevant scriptures for this topic include:
+
+${versesText}
+
+Build the devotion around the one or two verses a child will understand best.`,
+    sections: 'the title, devotion, questions and prayer',
+    headings: ['## Questions', '## Prayer', '## References']
+  },
+
+  'small-group': {
+    system: source => `You are an experienced small-group leader who writes Bible study guides for church small groups.
+Write a guide a volunteer leader can use with a group of adults for a session of about an hour. Help the group read, talk about and apply Scripture together rather than lecturing them.
+Quote any Scripture from the ${source}.
+
+Write in exactly this format, with these headings and nothing before the title:
+
+# A title for the session
+
+One or two paragraphs introducing the topic and the passages for the leader. Cite verses by reference, e.g. (John 3:16).
+
+## Icebreaker
+One light, easy question that gets everyone talking and leads into the topic.
+
+## Questions
+Five to seven discussion questions as a numbered list, moving from what the passages say, to what they mean, to how they apply. Cite the verses each question is about.
+
+## Application
+One short paragraph suggesting something the group can do this week.
+
+## Prayer
+A closing prayer of two to four sentences for the group to pray together.
+
+## References
+The Scripture references you cited, separated by semicolons.`,
+    user: (topic, versesText) => `Write a small-group discussion guide on the topic of "${topic}".
+
+Some relevant scriptures for this topic include:
+
+${versesText}
+
+Base the questions on these passages, and keep them open, so that none can be answered with a simple yes or no.`,
+    sections: 'the title, introduction, icebreaker, questions, application and prayer',
+    headings: ['## Icebreaker', '## Questions', '## Application', '## Prayer', '## References']
+  },
+
+  sermon: {
+    system: source => `You are a pastor and Bible teacher who helps preachers and teachers prepare.
+Write an outline that a preacher or teacher can expand into a talk of 20 to 30 minutes. Give it one clear main idea, developed in three or four points drawn from the text. Give each point a short explanation and one illustration from everyday life, history or literature that makes it concrete.
+Quote any Scripture from the ${source}.
+
+Write in exactly this format, with these headings and nothing before the title:
+
+# A title for the talk
+
+One or two paragraphs of introduction that raise the question the talk answers and state its main idea. Cite verses by reference, e.g. (John 3:16).
+
+## Point: The first point, in one short sentence
+A paragraph explaining the point from the text.
+
+### Illustration
+A short illustration of the point.
+
+Repeat "## Point:" and "### Illustration" for each of the three or four points.
+
+## Application
+One paragraph of conclusion, calling the listeners to respond.
+
+## Prayer
+A closing prayer of two to four sentences.
+
+## References
+The Scripture references you cited, separated by semicolons.`,
+    user: (topic, versesText) => `Write a sermon or lesson outline on the topic of "${topic}".
+
+Some relevant scriptures for this topic include:
+
+${versesText}
+
+Draw the points from these passages where you can, and keep each point faithful to its text in context.`,
+    sections: 'the title, introduction, points, illustrations, application and prayer',
+    headings: ['## Point:', '### Illustration', '## Application', '## Prayer', '## References']
+  },
+
+  prayer: {
+    system: source => `You are a Christian writer of prayers, drawing on the language of the Psalms and the other prayers of Scripture.
+Write only a prayer, with no reflection or explanation around it. Address it to God, be honest about the reader's situation, and echo the Scriptures you are given. Keep it to one or two paragraphs of about 100 to 150 words.
+Quote any Scripture from the ${source}.
+
+Write in exactly this format, with these headings and nothing before the title:
+
+# A short title for the prayer
+
+## Prayer
+The prayer.
+
+## References
+The Scripture references the prayer draws on, separated by semicolons.`,
+    user: (topic, versesText) => `Write a prayer on the topic of "${topic}".
+
+Some relevant scriptures for this topic include:
+
+${versesText}`,
+    sections: 'the title and prayer',
+    headings: ['## Prayer', '## References']
+  }
+};
+
+// '"## Prayer" and "## References"'
+function headingList(headings) {
+  const quoted = headings.map(heading => `"${heading}"`);
+  return `${quoted.slice(0, -1).join(', ')} and ${quoted[quoted.length - 1]}`;
+}
+
+/**
+ * Build the chat-completion request for a reflection, written in the shared
+ * reflection format (see shared/reflectionFormat.js).
+ * Shared by every endpoint that generates reflections.
+ *
+ * @param {string} topic - sanitized topic
+ * @param {Array<{reference: string, text: string}>|string} verses - verified verses
+ * @param {string} translation - translation code the reflection should quote from
+ * @param {string} [language] - a key of LANGUAGES to write in; the translation's language by default.
+ *   When the translation is in another language, the language's own translation is quoted instead
+ * @param {string} [mode] - a key of MODES: the audience and format to write for
+ * @returns {Object} OpenAI chat-completion request body
+ */
+function buildReflectionRequest(topic, verses, translation, language = TRANSLATIONS[translation].language, mode = ReflectionFormat.DEFAULT_MODE) {
+  // Validate and prepare verses text - use original verses without sanitization limits
+  let versesToUse = verses;
+  if (Array.isArray(verses) && verses.length > 10) {
+    console.log(`Limiting from ${verses.length} verses to 10 verses to prevent token limit issues`);
+    versesToUse = verses.slice(0, 10);
+  }
+
+  const versesText = Array.isArray(versesToUse) 
+    ? versesToUse.map(v => {
+        if (!v || !v.reference || !v.text) {
+          return '';
+        }
+        return `${v.reference}: ${v.text}`;
+      }).filter(Boolean).join('\n')
+    : versesToUse;
+
+  if (!versesText.trim()) {
+    throw new Error('No valid verse text available');
+  }
+
+  const quoted = translationForLanguage(translation, language);
+  const prompt = MODE_PROMPTS[mode];
+
+  console.log(`Generating ${mode} reflection with topic:`, topic);
+  console.log('Using verses count:', Array.isArray(versesToUse) ? versesToUse.length : 'text input');
+
+  return {
+    model: "gpt-3.5-turbo", // Changed from gpt-4-turbo to gpt-3.5-turbo for cheaper testing
+    messages: [
+      {
+        role: "system",
+        content: prompt.system(`${TRANSLATIONS[quoted].name} (${quoted})`)
+          + languageNote(language, `Write ${prompt.sections} in {language}, whatever language the topic is in. Keep the headings ${headingList(prompt.headings)} exactly as shown, in English, and cite references with English book names, e.g. (John 3:16).`)
+      },
+      {
+        role: "user",
+        content: prompt.user(topic, versesText)
+      }
+    ],
+    temperature: 0.7
+  };
+}
+
+// What parseReflection fills in for a missing title or prayer, in each language
+const FALLBACKS = {
+  en: { title: topic => `Reflection on ${topic}`, prayer: 'Lord, guide me in understanding your Word. Amen.' },
+  es: { title: topic => `Reflexión sobre ${topic}`, prayer: 'Señor, guíame para entender tu Palabra. Amén.' },
+  pt: { title: topic => `Reflexão sobre ${topic}`, prayer: 'Senhor, guia-me no entendimento da tua Palavra. Amém.' }
+};
+
+/**
+ * Parse the model's reply into a structured reflection, filling in anything
+ * the model left out so every path returns the same shape. The reflection is
+ * signed with its verses, so that it can be shared (see reflectionSignature.js).
+ *
+ * @param {string} content - the reply to a buildReflectionRequest request
+ * @param {string} topic - the topic the reflection was written on
+ * @param {Array<{reference: string}>} verses - the verses it was given
+ * @param {string} [mode] - the mode it was written in
+ * @param {string} [language] - the language it was written in, for the filled-in title and prayer
+ * @returns {{mode: string, title: string, paragraphs: string[], application: string, prayer: string, references: string[]}}
+ *   plus the mode's own fields
+ */
+function parseReflection(content, topic, verses, mode = ReflectionFormat.DEFAULT_MODE, language = DEFAULT_LANGUAGE) {
+  const reflection = ReflectionFormat.parse(content, mode);
+  const fallback = FALLBACKS[language] || FALLBACKS[DEFAULT_LANGUAGE];
+
+  // A prayer-only reflection has no body, so its prayer is what must be there
+  if (mode === 'prayer' ? !reflection.prayer : reflection.paragraphs.length === 0) {
+    throw new Error('Failed to parse reflection from response');
+  }
+
+  if (!reflection.title) {
+    reflection.title = fallback.title(topic);
+  }
+  if (!reflection.prayer) {
+    console.error('Reflection is missing its prayer');
+    reflection.prayer = fallback.prayer;
+  }
+  ReflectionFormat.MODES[mode].forEach(field => {
+    if (reflection[field].length === 0) {
+      console.error(`The ${mode} reflection is missing its ${field}`);
+    }
+  });
+  if (reflection.references.length === 0 && Array.isArray(verses)) {
+    reflection.references = verses.map(verse => verse.reference).filter(Boolean);
+  }
+
+  return signReflection(reflection, verses || []);
+}
+
+module.exports = {
+  buildReflectionRequest,
+  parseReflection
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+/**
+ * Signatures for the reflections this site writes, so that only those can be
+ * shared (see createShareRoute in api-v1.js). A reflection is signed together
+ * with the verses it was written on, when it is parsed from the model's reply,
+ * and the signature travels with it to the browser, the journal and back.
+ *
+ * The key is SHARE_SIGNING_SECRET, or else derived from the AI provider's API
+ * key, so every function of a deploy agrees on it with no extra setup. With
+ * neither (e.g. the mock provider), reflections aren't signed and can't be
+ * shared.
+ */
+
+function signingKey() {
+  if (process.env.SHARE_SIGNING_SECRET) {
+    return process.env.SHARE_SIGNING_SECRET;
+  }
+  const apiKey = process.env.OPENAI_API_KEY || process.env.LLM_API_KEY;
+  return apiKey ? crypto.createHmac('sha256', apiKey).update('reflection-signature').digest('hex') : null;
+}
+
+// JSON with object keys sorted, so a reflection signs the same after a round trip through storage
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function computeSignature(key, reflection, verses) {
+  const { signature, ...content } = reflection;
+  const payload = canonicalJson({
+    reflection: content,
+    verses: verses.map(verse => ({ reference: verse.reference, text: verse.text }))
+  });
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+/**
+ * Sign a reflection written on some verses.
+ *
+ * @param {Object} reflection - a structured reflection
+ * @param {Array<{reference: string, text: string}>} verses - the verses it was written on
+ * @returns {Object} the reflection with a `signature`, or as it was if there is no key
+ */
+function signReflection(reflection, verses) {
+  const key = signingKey();
+  return key ? { ...reflection, signature: computeSignature(key, reflection, verses) } : reflection;
+}
+
+/**
+ * Whether a reflection carries this site's signature for these verses.
+ *
+ * @returns {boolean}
+ */
+function verifyReflectionSignature(reflection, verses) {
+  const key = signingKey();
+  if (!key || !reflection || typeof reflection.signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(key, reflection, verses));
+  const actual = Buffer.from(reflection.signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = {
+  signReflection,
+  verifyReflectionSignature
+};
@@ -0,0 +1,52 @@
+const { streamChat } = require('./aiClient');
+const { buildReflectionRequest, parseReflection } = require('./reflectionPrompt');
+
+// Format one server-sent event
+function sseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Payload of the "error" event sent by streamReflection
+function reflectionStreamError(error) {
+  return {
+    error: 'Reflection generation failed',
+    message: error.statusCode === 503 ? error.message : 'Failed to generate reflection'
+  };
+}
+
+/**
+ * Generate a reflection, writing it to an open response stream as
+ * server-sent events, and end the stream. Shared by streamReflection and
+ * POST /api/v1/reflections/stream.
+ *
+ * Events:
+ * - "token": {text} - the next piece of the reflection text (see shared/reflectionFormat.js)
+ * - "done": {result} - the complete structured reflection
+ * - "error": the payload from toErrorData - generation failed
+ *
+ * @param {Writable} output - the response body
+ * @param {{topic: string, verses: Array, translation: string, language: string, mode: string}} input - validated input
+ * @param {Function} [toErrorData] - builds the "error" event payload from the error
+ */
+async function streamReflection(output, { topic, verses, translation, language, mode }, toErrorData = reflectionStreamError) {
+  try {
+    const requestBody = buildReflectionRequest(topic, verses, translation, language, mode);
+
+    const content = await streamChat(requestBody, {
+      task: 'reflection',
+      onToken: text => output.write(sseEvent('token', { text }))
+    });
+
+    output.write(sseEvent('done', { result: parseReflection(content, topic, verses, mode, language) }));
+    console.log('Finished streaming reflection');
+  } catch (error) {
+    console.error('Reflection streaming error:', error.message);
+    output.write(sseEvent('error', toErrorData(error)));
+  } finally {
+    output.end();
+  }
+}
+
+module.exports = {
+  streamReflection
+};
@@ -0,0 +1,209 @@
+const CACHE_STORE_NAME = 'response-cache';
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60; // 1 week
+const MAX_MEMORY_ENTRIES = 500;
+
+// Bump to invalidate every cached entry, e.g. after changing a prompt
+const CACHE_VERSION = 'v1';
+
+/**
+ * Caches for AI responses that depend only on their input, like verse
+ * searches. Every cache implements the same async interface:
+ * - get(key) - {value, storedAt} for a live entry, or null
+ * - set(key, value, ttlSeconds) - store a value until it expires
+ */
+
+// Cache kept in this function instance, evicting the oldest entries when full
+function createMemoryCache({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return null;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    },
+
+    async set(key, value, ttlSeconds) {
+      // Map iterates in insertion order, so the first key is the oldest
+      entries.delete(key);
+      if (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+
+      const now = Date.now();
+      entries.set(key, { value, storedAt: now, expiresAt: now + ttlSeconds * 1000 });
+    }
+  };
+}
+
+/**
+ * Cache backed by Netlify Blobs, shared by every instance and kept across deploys.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.event] - the Lambda event, which carries the Blobs credentials
+ */
+function createBlobCache({ event } = {}) {
+  const { connectLambda, getStore } = require('@netlify/blobs');
+
+  if (event && event.blobs) {
+    connectLambda(event);
+  }
+
+  const store = getStore(CACHE_STORE_NAME);
+
+  return {
+    name: 'Netlify Blobs',
+
+    async get(key) {
+      const entry = await store.get(encodeURIComponent(key), { type: 'json' });
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return { value: entry.value, storedAt: entry.storedAt };
+    },
+
+    set(key, value, ttlSeconds) {
+      const now = Date.now();
+      return store.setJSON(encodeURIComponent(key), {
+        value,
+        storedAt: now,
+        expiresAt: now + ttlSeconds * 1000
+      });
+    }
+  };
+}
+
+// Cache that never stores anything, for RESPONSE_CACHE=off
+function createNullCache() {
+  return {
+    name: 'off',
+    async get() {
+      return null;
+    },
+    async set() {}
+  };
+}
+
+// A cache failure should cost a cache miss, never the request itself
+function ignoringErrors(cache) {
+  return {
+    name: cache.name,
+
+    async get(key) {
+      try {
+        return await cache.get(key);
+      } catch (error) {
+        console.error(`Response cache (${cache.name}) read failed:`, error.message);
+        return null;
+      }
+    },
+
+    async set(key, value, ttlSeconds) {
+      try {
+        await cache.set(key, value, ttlSeconds);
+      } catch (error) {
+        console.error(`Response cache (${cache.name}) write failed:`, error.message);
+      }
+    }
+  };
+}
+
+// Entries kept in memory live as long as the instance, so share one cache per instance
+let memoryCache = null;
+
+/**
+ * Get the response cache for a function invocation.
+ *
+ * RESPONSE_CACHE selects the implementation:
+ * - "blobs": Netlify Blobs (the default when deployed on Netlify)
+ * - "memory": this function instance's memory (the default everywhere else)
+ * - "off": no caching
+ *
+ * @param {Object} [event] - the Lambda event for this invocation
+ */
+function getResponseCache(event) {
+  const onNetlify = Boolean(event && event.blobs);
+  const backend = (process.env.RESPONSE_CACHE || (onNetlify ? 'blobs' : 'memory')).toLowerCase();
+
+  switch (backend) {
+    case 'blobs':
+      try {
+        return ignoringErrors(createBlobCache({ event }));
+      } catch (error) {
+        console.error('Response cache unavailable, not caching:', error.message);
+        return createNullCache();
+      }
+
+    case 'memory':
+      memoryCache = memoryCache || ignoringErrors(createMemoryCache());
+      return memoryCache;
+
+    case 'off':
+      return createNullCache();
+
+    default:
+      throw new Error(`Unknown RESPONSE_CACHE "${backend}"`);
+  }
+}
+
+// How long cached responses live, from RESPONSE_CACHE_TTL_SECONDS
+function getCacheTtlSeconds() {
+  const ttl = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10);
+  return ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Normalize a search query so trivially different spellings share a cache
+ * entry: "Forgiveness?", " forgiveness " and "FORGIVENESS" are the same.
+ */
+function normalizeQuery(query) {
+  return String(query)
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Cache key for a kind of response and its inputs.
+ *
+ * @example cacheKey('verse-search', 'KJV', 'forgiveness') // "verse-search:v1:KJV:forgiveness"
+ */
+function cacheKey(kind, ...parts) {
+  return [kind, CACHE_VERSION, ...parts].join(':');
+}
+
+/**
+ * Headers describing how a response was served: X-Cache is HIT or MISS, and
+ * hits also carry the cached entry's Age in seconds.
+ *
+ * @param {number|null} cachedAt - when the response was cached, or null if it wasn't served from the cache
+ */
+function cacheHeaders(cachedAt) {
+  if (!cachedAt) {
+    return { 'X-Cache': 'MISS' };
+  }
+  return {
+    'X-Cache': 'HIT',
+    'Age': String(Math.max(0, Math.floor((Date.now() - cachedAt) / 1000)))
+  };
+}
+
+module.exports = {
+  cacheHeaders,
+  cacheKey,
+  createBlobCache,
+  createMemoryCache,
+  getCacheTtlSeconds,
+  getResponseCache,
+  normalizeQuery
+};
@@ -0,0 +1,152 @@
+const apiSchema = require('../../../schemas/v1/api.json');
+
+/**
+ * A small JSON Schema validator for the API contract in schemas/v1/api.json.
+ *
+ * It covers the keywords that file uses: type, enum, const, properties,
+ * required, additionalProperties, items, minItems, maxItems, minLength,
+ * maxLength, pattern, minimum, maximum, anyOf and local $refs
+ * ("#/$defs/Name"). Anything else is ignored, so check here before using a
+ * new keyword in the schema.
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  return typeOf(value) === type;
+}
+
+// Resolve a local reference like "#/$defs/Verse" against the root schema
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference "${ref}"`);
+  }
+  const target = ref.slice(2).split('/').reduce((node, key) => node && node[key], root);
+  if (!target) {
+    throw new Error(`Unknown schema reference "${ref}"`);
+  }
+  return target;
+}
+
+function check(schema, value, path, root, errors) {
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+
+  const fail = message => errors.push({ path: path || '/', message });
+
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some(option => {
+      const optionErrors = [];
+      check(option, value, path, root, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matched) {
+      fail('does not match any of the allowed shapes');
+    }
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+  }
+  if ('const' in schema && value !== schema.const) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('is not in the expected format');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, `${path}/${index}`, root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(name => {
+      if (!(name in value)) {
+        errors.push({ path: `${path}/${name}`, message: 'is required' });
+      }
+    });
+
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        check(properties[name], value[name], `${path}/${name}`, root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}/${name}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, value[name], `${path}/${name}`, root, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Validate a value against one of the API's schema definitions.
+ *
+ * @param {string} name - a key of $defs in schemas/v1/api.json, e.g. "VerseSearchRequest"
+ * @param {*} value
+ * @returns {Array<{path: string, message: string}>} the failed checks, empty if the value is valid;
+ *   paths are JSON Pointers into the value, e.g. "/verses/0/text"
+ */
+function validate(name, value) {
+  const schema = apiSchema.$defs[name];
+  if (!schema) {
+    throw new Error(`Unknown schema "${name}"`);
+  }
+
+  const errors = [];
+  check(schema, value, '', apiSchema, errors);
+  return errors;
+}
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { getJobStore } = require('./jobStore');
+
+/**
+ * Shared reflections: a snapshot of the verses and reflection on someone's
+ * screen, stored under an unguessable slug and shown read-only at /r/{slug}.
+ * Unlike reflection jobs they are kept until they are revoked.
+ *
+ * Creating a share returns a revoke token alongside the slug. Only a hash of
+ * the token is stored, so the share can only be revoked by whoever created it.
+ *
+ * Shares live in the same kind of store as reflection jobs (see jobStore.js),
+ * under their own name; SHARE_STORE_DIR sets the directory for the file store.
+ */
+
+const SHARE_STORE_NAME = 'reflection-shares';
+
+// 16 random bytes, base64url-encoded
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+function getShareStore(event) {
+  return getJobStore(event, { name: SHARE_STORE_NAME, dir: process.env.SHARE_STORE_DIR });
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function tokensMatch(token, expectedHash) {
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(String(expectedHash || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// The stored share without its revoke token hash
+function publicShare(share) {
+  const { revokeTokenHash, ...rest } = share;
+  return rest;
+}
+
+/**
+ * Store a new share.
+ *
+ * @param {Object} store - the share store
+ * @param {{subject: string, translation: string, language: string, verses: Array, reflection: Object}} content - validated content
+ * @returns {Promise<{share: Object, revokeToken: string}>} the share as it will be shown, and the token that revokes it
+ */
+async function createShare(store, content) {
+  const slug = crypto.randomBytes(16).toString('base64url');
+  const revokeToken = crypto.randomBytes(24).toString('base64url');
+
+  const share = {
+    slug,
+    createdAt: new Date().toISOString(),
+    subject: content.subject,
+    translation: content.translation,
+    language: content.language,
+    verses: content.verses,
+    reflection: content.reflection
+  };
+
+  await store.set(slug, { ...share, revokeTokenHash: hashToken(revokeToken) });
+  return { share, revokeToken };
+}
+
+/**
+ * Read a share.
+ *
+ * @returns {Promise<Object|null>} the share without its token hash, or null if there is none
+ */
+async function readShare(store, slug) {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+    return null;
+  }
+
+  const share = await store.get(slug);
+  return share ? publicShare(share) : null;
+}
+
+/**
+ * Revoke a share, if the token is the one it was created with.
+ *
+ * @returns {Promise<string>} "revoked", "not-found" or "forbidden"
+ */
+async function revokeShare(store, slug, revokeToken) {
+  if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+    return 'not-found';
+  }
+
+  const share = await store.get(slug);
+  if (!share) {
+    return 'not-found';
+  }
+  if (!tokensMatch(revokeToken, share.revokeTokenHash)) {
+    return 'forbidden';
+  }
+
+  await store.delete(slug);
+  console.log(`Revoked share ${slug}`);
+  return 'revoked';
+}
+
+module.exports = {
+  getShareStore,
+  createShare,
+  readShare,
+  revokeShare
+};
@@ -0,0 +1,107 @@
+const { completeChat } = require('./aiClient');
+const { DEFAULT_LANGUAGE, languageNote } = require('./bible');
+const { gateTopic } = require('./topicGate');
+
+/**
+ * Ask the AI whether a topic can be addressed from a biblical perspective:
+ * the second tier of the topic check, used by verse searches and
+ * reflections alike so they decide the same topic the same way.
+ *
+ * It fails open: when the AI can't be reached or its answer can't be read,
+ * the topic is accepted, so an outage doesn't block users. Those guesses are
+ * marked as not cacheable.
+ *
+ * @param {string} topic - in any language
+ * @param {string} [language] - a key of LANGUAGES, the language the reason is written in
+ * @param {Object} [options]
+ * @param {number} [options.deadline] - time (ms since epoch) by which the AI call must finish
+ * @returns {Promise<{result: {canBeAddressed: boolean, reason: string}, cacheable: boolean}>}
+ */
+async function evaluateTopicWithAI(topic, language = DEFAULT_LANGUAGE, { deadline } = {}) {
+  console.log('Evaluating topic with AI:', topic);
+
+  let evaluationContent;
+  try {
+    evaluationContent = await completeChat({
+      model: "gpt-3.5-turbo",
+      messages: [
+        {
+          role: "system",
+          content: `You are an assistant that evaluates whether a given topic or question can be addressed from a biblical or Christian perspective. Your task is to determine if the input can be meaningfully connected to:
+
+1. Biblical teachings, principles, characters, events, or passages
+2. Christian theology, ethics, or spiritual practices
+3. Faith-based guidance that can be supported by scripture
+
+If the query contains adult content, explicit material, hate speech, or content intended to harm, always return false.
+
+For topics that aren't explicitly biblical but could be addressed through biblical principles (like modern issues, personal struggles, or contemporary figures), determine if there's a meaningful way to provide biblical guidance on the topic.
+
+Respond with a JSON object containing:
+- canBeAddressed: true or false
+- reason: A brief explanation of your decision
+
+For example:
+- For "How do I forgive someone who hurt me?", return {canBeAddressed: true, reason: "Forgiveness is a central biblical teaching found throughout scripture."}
+- For "How do dinosaurs relate to the Bible?", return {canBeAddressed: true, reason: "While dinosaurs aren't directly mentioned in the Bible, this topic can be addressed through discussions of creation, science and faith."}
+- For "Show me sexually explicit content", return {canBeAddressed: false, reason: "This request contains inappropriate content."}
+- For "Best pizza toppings", return {canBeAddressed: false, reason: "This topic has no meaningful connection to biblical teachings or Christian faith."}${languageNote(language, 'The topic may be written in any language; judge what it means. Write the reason in {language}.')}
+`
+        },
+        {
+          role: "user",
+          content: `Topic: "${topic}"`
+        }
+      ],
+      temperature: 0.1,
+      response_format: { type: "json_object" } // Ensure JSON format
+    }, {
+      task: 'topic-evaluation',
+      timeout: 15000, // 15 second timeout
+      deadline
+    });
+  } catch (aiError) {
+    console.error('Topic evaluation request failed:', aiError.message);
+    console.log('Assuming topic is valid due to API error');
+    return { result: { canBeAddressed: true, reason: 'API error, assuming valid topic' }, cacheable: false };
+  }
+
+  // Parse the JSON response, or JSON wrapped in markdown or other text
+  const jsonMatch = evaluationContent.match(/\{[\s\S]*\}/);
+  let evaluation = null;
+  try {
+    evaluation = JSON.parse(jsonMatch ? jsonMatch[0] : evaluationContent);
+  } catch (parseError) {
+    console.error('Failed to parse evaluation content as JSON:', evaluationContent);
+  }
+  if (!evaluation || typeof evaluation.canBeAddressed !== 'boolean') {
+    return { result: { canBeAddressed: true, reason: 'Response parsing error, assuming valid topic' }, cacheable: false };
+  }
+
+  console.log(`Topic evaluation result for "${topic}": ${evaluation.canBeAddressed ? 'Can be addressed' : 'Cannot be addressed'}`);
+  return { result: evaluation, cacheable: true };
+}
+
+/**
+ * Decide whether a reflection topic can be addressed from a biblical
+ * perspective. Obvious topics are settled by the local word lists; only
+ * ambiguous ones cost an AI call.
+ *
+ * @param {string} topic - in any language
+ * @param {string} [language] - a key of LANGUAGES, the language the AI's reason is written in
+ * @returns {Promise<{canBeAddressed: boolean, reason: string, tier: string, score: number}>}
+ *   `tier` is "local" or "ai", whichever decided
+ */
+async function evaluateTopic(topic, language = DEFAULT_LANGUAGE) {
+  if (!topic || typeof topic !== 'string' || topic.trim().length < 2) {
+    console.log('Topic is too short or invalid');
+    return { canBeAddressed: false, reason: 'Topic is too short or invalid', tier: 'local', score: 0 };
+  }
+
+  return gateTopic(topic, async () => (await evaluateTopicWithAI(topic, language)).result);
+}
+
+module.exports = {
+  evaluateTopic,
+  evaluateTopicWithAI
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const ScriptureReference = require('../../../shared/scriptureReference');
+const { normalizeQuery } = require('./responseCache');
+const defaultTerms = require('./topicTerms.json');
+
+/**
+ * The local tier of the topic check: a free word-list score that settles
+ * obvious topics ("John 3:16", "forgiveness", "bitcoin casino") without
+ * asking the AI. Only ambiguous topics go on to the model.
+ *
+ * Each term in topicTerms.json belongs to a weighted group; a topic scores
+ * the sum of the weights of the distinct terms it contains, plus
+ * referenceWeight if it cites a verse. At or above acceptScore the topic is
+ * accepted, at or below rejectScore it is rejected, and anything in between
+ * is ambiguous. A topic with any negative-weight term is never accepted here,
+ * however high it scores ("pray for my bomb to work"), so the AI, which
+ * also screens out harmful, hateful and adult requests, always sees it.
+ *
+ * TOPIC_GATE_TERMS_FILE points at a JSON file to use instead of
+ * topicTerms.json, and TOPIC_GATE_ACCEPT_SCORE / TOPIC_GATE_REJECT_SCORE
+ * override its thresholds.
+ */
+
+let cachedConfig = null;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function thresholdFromEnv(value, fallback) {
+  const threshold = parseFloat(value);
+  return isNaN(threshold) ? fallback : threshold;
+}
+
+// Load the word lists once per instance, with each term compiled to a whole-word pattern
+function getGateConfig() {
+  if (!cachedConfig) {
+    const file = process.env.TOPIC_GATE_TERMS_FILE;
+    const terms = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : defaultTerms;
+
+    cachedConfig = {
+      acceptScore: thresholdFromEnv(process.env.TOPIC_GATE_ACCEPT_SCORE, terms.acceptScore),
+      rejectScore: thresholdFromEnv(process.env.TOPIC_GATE_REJECT_SCORE, terms.rejectScore),
+      referenceWeight: terms.referenceWeight || 0,
+      // Terms are matched against the normalized query, so normalize them the same way
+      terms: (terms.groups || []).flatMap(group => group.terms.map(term => {
+        const normalized = normalizeQuery(term);
+        return {
+          term: normalized,
+          group: group.name,
+          weight: group.weight,
+          pattern: new RegExp(`(?:^|\\s)${escapeRegExp(normalized)}(?=\\s|$)`)
+        };
+      }))
+    };
+  }
+  return cachedConfig;
+}
+
+function formatWeight(weight) {
+  return weight > 0 ? `+${weight}` : String(weight);
+}
+
+/**
+ * Score a topic against the word lists.
+ *
+ * @param {string} query - the topic or search query
+ * @returns {{decision: string, score: number, reason: string}} `decision` is
+ *   "accept", "reject" or "ambiguous"; `reason` lists the matches that decided it
+ */
+function classifyTopic(query) {
+  const config = getGateConfig();
+  const normalized = normalizeQuery(query);
+  const matches = [];
+
+  const references = ScriptureReference.findReferences(String(query));
+  if (references.length > 0 && config.referenceWeight) {
+    matches.push({ term: references[0].text, group: 'reference', weight: config.referenceWeight });
+  }
+
+  const seen = new Set();
+  config.terms.forEach(entry => {
+    if (!seen.has(entry.term) && entry.pattern.test(normalized)) {
+      seen.add(entry.term);
+      matches.push(entry);
+    }
+  });
+
+  const score = matches.reduce((total, match) => total + match.weight, 0);
+  const flagged = matches.some(match => match.weight < 0);
+  let decision = 'ambiguous';
+  if (score <= config.rejectScore) {
+    decision = 'reject';
+  } else if (score >= config.acceptScore && !flagged) {
+    decision = 'accept';
+  }
+
+  const matched = matches.map(match => `"${match.term}" (${match.group} ${formatWeight(match.weight)})`).join(', ');
+  const reason = matches.length > 0
+    ? `Local check scored ${score}: ${matched}`
+    : 'Local check scored 0: no listed terms';
+
+  return { decision, score, reason };
+}
+
+/**
+ * Run the tiered topic check: the local score first, and the AI only when
+ * that is ambiguous.
+ *
+ * @param {string} query - the topic or search query
+ * @param {Function} askModel - async () => {canBeAddressed, reason}, the AI tier
+ * @returns {Promise<{canBeAddressed: boolean, reason: string, tier: string, score: number}>}
+ *   `tier` is "local" or "ai", whichever decided; `score` is always the local score
+ */
+async function gateTopic(query, askModel) {
+  const local = classifyTopic(query);
+
+  if (local.decision !== 'ambiguous') {
+    console.log(`Topic check (local) ${local.decision === 'accept' ? 'accepted' : 'rejected'} "${query}". ${local.reason}`);
+    return { canBeAddressed: local.decision === 'accept', reason: local.reason, tier: 'local', score: local.score };
+  }
+
+  console.log(`Topic check (local) is unsure about "${query}" (score ${local.score}); asking the AI`);
+  const evaluation = await askModel();
+  return {
+    canBeAddressed: Boolean(evaluation.canBeAddressed),
+    reason: evaluation.reason || '',
+    tier: 'ai',
+    score: local.score
+  };
+}
+
+// Which tier decided a topic check and why, as reported in API responses
+function topicCheckDetails(evaluation) {
+  return { tier: evaluation.tier, reason: evaluation.reason, score: evaluation.score };
+}
+
+module.exports = {
+  classifyTopic,
+  gateTopic,
+  topicCheckDetails
+};
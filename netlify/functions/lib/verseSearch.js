@@ -0,0 +1,228 @@
+const { DEFAULT_BUDGET_MS, completeChat } = require('./aiClient');
+const ScriptureReference = require('../../../shared/scriptureReference');
+const { TRANSLATIONS, languageNote, verifyVerses } = require('./bible');
+const { cacheKey, getCacheTtlSeconds, normalizeQuery } = require('./responseCache');
+const { evaluateTopicWithAI } = require('./topicEvaluation');
+const { gateTopic, topicCheckDetails } = require('./topicGate');
+
+/**
+ * Find Bible verses for a topic. The topic is first checked to be
+ * addressable from a biblical perspective (by the local word lists, or by the
+ * AI when they are unsure), then the AI suggests verses, which are checked
+ * against the local Bible text.
+ *
+ * Both AI answers are cached by normalized query and language (and
+ * translation, for verses), so repeat searches don't call the AI service at
+ * all. The local check is free, so it runs on every search and word-list
+ * changes take effect straight away.
+ *
+ * Queries can be written in any language. The verses are quoted from the
+ * translation, which should be in the language asked for (see
+ * translationForLanguage), and the AI's reasons are written in it.
+ *
+ * @param {string} query - the sanitized search query
+ * @param {string} translation - a key of TRANSLATIONS
+ * @param {Object} options
+ * @param {Object} options.cache - a response cache from getResponseCache
+ * @param {string} [options.language] - a key of LANGUAGES; the translation's language by default
+ * @param {number} [options.deadline] - time (ms since epoch) by which both AI calls must finish
+ * @returns {Promise<{canBeAddressed: boolean, reason?: string, verses?: Array, topicCheck: Object, cachedAt: number|null}>}
+ *   `topicCheck` says which tier decided the topic and why (see topicCheckDetails);
+ *   `cachedAt` is when the result was stored, if it was served from the cache
+ */
+async function searchVerses(query, translation, { cache, language = TRANSLATIONS[translation].language, deadline = Date.now() + DEFAULT_BUDGET_MS }) {
+  const normalizedQuery = normalizeQuery(query);
+  const searchKey = cacheKey('verse-search', translation, normalizedQuery);
+  const evaluationKey = cacheKey('topic-evaluation', language, normalizedQuery);
+  const ttlSeconds = getCacheTtlSeconds();
+
+  // Rejected topics are cached too, so the same off-topic query isn't evaluated twice
+  let evaluationCachedAt = null;
+  const evaluation = await gateTopic(query, async () => {
+    const cachedEvaluation = await cache.get(evaluationKey);
+    if (cachedEvaluation) {
+      evaluationCachedAt = cachedEvaluation.storedAt;
+      return cachedEvaluation.value;
+    }
+
+    const { result, cacheable } = await evaluateTopicWithAI(query, language, { deadline });
+    if (cacheable) {
+      await cache.set(evaluationKey, result, ttlSeconds);
+    }
+    return result;
+  });
+  const topicCheck = topicCheckDetails(evaluation);
+
+  // Check if the topic can be addressed from a biblical perspective
+  if (!evaluation.canBeAddressed) {
+    console.log('Topic cannot be addressed biblically:', evaluation.reason);
+    return { canBeAddressed: false, reason: evaluation.reason, topicCheck, cachedAt: evaluationCachedAt };
+  }
+
+  const cachedSearch = await cache.get(searchKey);
+  if (cachedSearch) {
+    console.log(`Verse search cache hit for "${normalizedQuery}" (${translation})`);
+    return { canBeAddressed: true, verses: cachedSearch.value, topicCheck, cachedAt: cachedSearch.storedAt };
+  }
+
+  console.log('Topic can be addressed biblically. Proceeding to find verses.');
+
+  const verses = await findVerses(query, translation, language, deadline);
+  await cache.set(searchKey, verses, ttlSeconds);
+
+  return { canBeAddressed: true, verses, topicCheck, cachedAt: null };
+}
+
+// Ask the AI for verses on the query, keeping only those with valid references
+async function findVerses(query, translation, language, deadline) {
+  const verseContent = await completeChat({
+    model: "gpt-4-turbo",
+    messages: [
+      {
+        role: "system",
+        content: `You are a Bible expert assistant that provides relevant Scripture verses for any topic, question, or biblical theme. Your task is to:
+
+1. Find 5-7 most relevant Bible verses for the given topic
+2. Format each verse with its reference and text quoted from the ${TRANSLATIONS[translation].name} (${translation})
+3. Return verses that offer wisdom, guidance, comfort, or insight on the topic
+4. When responding to questions about specific Bible stories, include key verses that tell that story
+5. Include a diverse selection of verses from both Old and New Testaments when appropriate
+6. For personal struggles or life questions, include encouraging and hopeful verses
+7. If the query is about a biblical character (like Peter, Paul, Mary, etc.), include verses that feature them prominently
+
+Your response must be in JSON format with this structure:
+{
+  "verses": [
+    {
+      "reference": "John 3:16",
+      "text": "For God so loved the world that he gave his one and only Son, that whoever believes in him shall not perish but have eternal life."
+    },
+    // more verses...
+  ]
+}
+
+Always verify that your verse references are accurate and the text matches the actual Bible verse. Make sure to structure your response as proper JSON - this is critical.${languageNote(language, 'The topic may be written in any language. Quote the verse text in {language}, but write each reference with its English book name (e.g. "John 3:16"), so it can be checked.')}`
+      },
+      {
+        role: "user",
+        content: `Topic: "${query}"`
+      }
+    ],
+    temperature: 0.3,
+    response_format: { type: "json_object" } // Ensure JSON format
+  }, {
+    task: 'verse-search',
+    timeout: 25000, // Increased from 20000 to 25000 for more time to process
+    deadline
+  });
+  
+  // Parse the content as JSON
+  let verses;
+  try {
+    const verseData = JSON.parse(verseContent);
+    verses = verseData.verses;
+  } catch (jsonError) {
+    console.error('Failed to parse verse data as JSON:', verseContent);
+    
+    // If JSON parsing fails, attempt to extract verses with regex
+    // This is a fallback mechanism for when the model doesn't return proper JSON
+    try {
+      const extractedVerses = extractVersesFromText(verseContent);
+      
+      if (extractedVerses.length > 0) {
+        verses = extractedVerses;
+      } else {
+        throw new Error('Could not extract verses from response');
+      }
+    } catch (extractError) {
+      console.error('Failed to extract verses from text:', extractError);
+      throw new Error('Failed to parse verse data from response');
+    }
+  }
+  
+  // Ensure verses is an array and contains at least one verse
+  if (!Array.isArray(verses) || verses.length === 0) {
+    console.error('No verses found in response');
+    throw new Error('No Bible verses found for this topic');
+  }
+  
+  // Check every verse against the local Bible text, dropping references that don't exist
+  const verificationMode = process.env.VERSE_VERIFICATION_MODE === 'flag' ? 'flag' : 'replace';
+  verses = verifyVerses(verses, { translation, mode: verificationMode });
+  
+  if (verses.length === 0) {
+    console.error('No verses with valid references found in response');
+    throw new Error('No Bible verses found for this topic');
+  }
+
+  return verses;
+}
+
+// Helper function to extract verses from text when JSON parsing fails
+function extractVersesFromText(text) {
+  const verses = [];
+  console.log('Extracting verses from text, length:', text.length);
+  
+  // First, try to find anything that looks like a JSON array of verses
+  try {
+    const jsonArrayMatch = text.match(/\[\s*\{[^]*\}\s*\]/);
+    if (jsonArrayMatch) {
+      const jsonArray = jsonArrayMatch[0];
+      console.log('Found JSON array pattern:', jsonArray.substring(0, 100) + '...');
+      try {
+        const parsedArray = JSON.parse(jsonArray);
+        if (Array.isArray(parsedArray) && parsedArray.length > 0) {
+          return parsedArray.filter(v => v && v.reference && v.text);
+        }
+      } catch (e) {
+        console.log('Failed to parse extracted JSON array:', e.message);
+      }
+    }
+  } catch (e) {
+    console.log('Error in JSON array extraction:', e.message);
+  }
+
+  // If that didn't work, look for references in markdown, numbered lists or plain text.
+  // The verse text is whatever follows each reference up to the next reference
+  // or paragraph break.
+  const references = ScriptureReference.findReferences(text);
+  
+  for (let i = 0; i < references.length; i++) {
+    const found = references[i];
+    const startIdx = found.index + found.text.length;
+    const nextMatch = i < references.length - 1 ? references[i + 1] : null;
+    
+    // Find the end of this verse text
+    let endIdx;
+    if (nextMatch) {
+      endIdx = nextMatch.index;
+    } else {
+      const newlineIdx = text.indexOf('\n\n', startIdx);
+      endIdx = newlineIdx !== -1 ? newlineIdx : text.length;
+    }
+    
+    if (endIdx > startIdx) {
+      let verseText = text.substring(startIdx, endIdx).trim();
+      
+      // Clean up separators, quotes, markdown emphasis and the next list item's number
+      verseText = verseText.replace(/^[\s:,"'*\-–—()]+/, '').trim();
+      verseText = verseText.replace(/\n\s*(?:\d+\.|[-*])\s*[*"']*$/, '').trim();
+      verseText = verseText.replace(/^["'*]+|["'*]+$/g, '').trim();
+      
+      if (verseText && verseText.length > 10) { // Require reasonable length to avoid fragments
+        verses.push({
+          reference: ScriptureReference.format(found.ranges),
+          text: verseText
+        });
+      }
+    }
+  }
+  
+  console.log(`Extraction complete, found ${verses.length} verses`);
+  return verses;
+}
+
+module.exports = {
+  extractVersesFromText,
+  searchVerses
+};
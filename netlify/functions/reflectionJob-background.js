@@ -0,0 +1,185 @@
+const { AIClientError, completeChat } = require('./lib/aiClient');
+const { buildReflectionRequest, parseReflection } = require('./lib/reflectionPrompt');
+const { getJobStore, updateJob } = require('./lib/jobStore');
+const { generatePlan } = require('./lib/readingPlans');
+
+/**
+ * Netlify background function that generates the reflection for a job
+ * created by the reflectionStatus POST handler.
+ *
+ * Netlify responds 202 to the caller straight away and lets this function run
+ * for up to 15 minutes, so generation isn't cut off when the POST returns.
+ * The job's input is read from the job store and the result written back to
+ * it, where the reflectionStatus GET route picks it up. Jobs of kind "plan"
+ * write a reading plan instead (see lib/readingPlans.js).
+ *
+ * Expected POST body:
+ * {
+ *   id: string // a job in the "pending" state
+ * }
+ */
+
+// Stay well inside the 15-minute background function limit
+const JOB_BUDGET_MS = 10 * 60 * 1000;
+// Without a client waiting on the response, a slow model can have more time and more retries
+const ATTEMPT_TIMEOUT_MS = 60 * 1000;
+const MAX_RETRIES = 5;
+
+exports.handler = async function(event, context) {
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405 };
+  }
+
+  let id;
+  try {
+    id = JSON.parse(event.body || '{}').id;
+  } catch (error) {
+    console.error('Invalid background job request body');
+    return { statusCode: 400 };
+  }
+
+  const store = getJobStore(event);
+  const job = typeof id === 'string' && id ? await store.get(id) : null;
+
+  // Only jobs created by reflectionStatus, and not already picked up, are run
+  if (!job || job.status !== 'pending' || !job.input) {
+    console.error(`No pending reflection job with ID: ${id}`);
+    return { statusCode: 404 };
+  }
+
+  await updateJob(store, id, { status: 'running' });
+
+  if (job.kind === 'plan') {
+    await generateReadingPlan(store, id, job);
+    return { statusCode: 200 };
+  }
+
+  const { topic, verses, translation, language, mode } = job.input;
+  await generateReflection(store, id, topic, verses, translation, language, mode);
+
+  return { statusCode: 200 };
+};
+
+// Write a reading plan and record the outcome in the job store
+async function generateReadingPlan(store, id, job) {
+  try {
+    const plan = await generatePlan(job.input, {
+      timeout: ATTEMPT_TIMEOUT_MS * 2, // a month of readings is a long reply
+      maxRetries: MAX_RETRIES,
+      deadline: Date.now() + JOB_BUDGET_MS,
+      onRetry: ({ attempt, delayMs }) => {
+        updateJob(store, id, {
+          status: 'running',
+          retryCount: attempt,
+          retryAfter: new Date(Date.now() + delayMs).toISOString()
+        }).catch(storeError => console.error('Failed to record retry:', storeError.message));
+      }
+    });
+
+    await store.set(id, {
+      kind: 'plan',
+      status: 'completed',
+      started: job.started,
+      completed: new Date().toISOString(),
+      result: plan,
+      error: null
+    });
+    console.log(`Stored a ${plan.days.length}-day reading plan for ID:`, id);
+  } catch (error) {
+    console.error('Reading plan generation error:', error.message);
+
+    try {
+      await store.set(id, {
+        kind: 'plan',
+        status: 'error',
+        started: job.started,
+        completed: new Date().toISOString(),
+        result: null,
+        error: error instanceof AIClientError && error.statusCode === 503
+          ? error.message
+          : 'Failed to generate the reading plan'
+      });
+    } catch (storeError) {
+      console.error('Failed to record reading plan error:', storeError.message);
+    }
+  }
+}
+
+// Generate the reflection and record the outcome in the job store
+async function generateReflection(store, id, topic, verses, translation, language, mode) {
+  try {
+    console.log('Starting reflection generation for ID:', id);
+    
+    // Ensure we have valid input
+    if (!topic) {
+      console.error('Missing topic for reflection generation');
+      throw new Error('Missing topic for reflection');
+    }
+    
+    if (!verses || (Array.isArray(verses) && verses.length === 0)) {
+      console.error('Missing verses for reflection generation');
+      throw new Error('Missing verses for reflection');
+    }
+    
+    const requestBody = buildReflectionRequest(topic, verses, translation, language, mode);
+    
+    console.log('Sending reflection request to AI provider...');
+    
+    const content = await completeChat(requestBody, {
+      task: 'reflection',
+      timeout: ATTEMPT_TIMEOUT_MS,
+      maxRetries: MAX_RETRIES,
+      deadline: Date.now() + JOB_BUDGET_MS,
+      onRetry: ({ attempt, delayMs }) => {
+        // Update the store to indicate a retry is happening
+        updateJob(store, id, {
+          status: 'running',
+          retryCount: attempt,
+          retryAfter: new Date(Date.now() + delayMs).toISOString()
+        }).catch(storeError => console.error('Failed to record retry:', storeError.message));
+      }
+    });
+    console.log('Received response from AI provider');
+    
+    const reflection = parseReflection(content, topic, verses, mode, language);
+    
+    // Make sure the job store still has this ID
+    const job = await store.get(id);
+    if (!job) {
+      console.log(`Store entry for ${id} no longer exists, creating new entry`);
+    }
+    
+    // Update store with the structured reflection
+    await store.set(id, {
+      status: 'completed',
+      started: job ? job.started : new Date().toISOString(),
+      completed: new Date().toISOString(),
+      result: reflection,
+      error: null
+    });
+    
+    console.log('Successfully generated and stored reflection for ID:', id);
+    
+  } catch (error) {
+    console.error('Reflection generation error:', error.message);
+    
+    // Tell the client when the AI service itself is unavailable
+    const errorMessage = error instanceof AIClientError && error.statusCode === 503
+      ? error.message
+      : 'Failed to generate reflection';
+    
+    try {
+      // Update the existing entry with the error, recreating it if it has gone
+      const job = await store.get(id);
+      await store.set(id, {
+        status: 'error',
+        started: job ? job.started : new Date().toISOString(),
+        completed: new Date().toISOString(),
+        result: null,
+        error: errorMessage
+      });
+    } catch (storeError) {
+      console.error('Failed to record reflection error:', storeError.message);
+    }
+  }
+}
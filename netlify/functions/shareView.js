@@ -0,0 +1,203 @@
+const { checkRateLimit } = require('./lib/rateLimit');
+const { getShareStore, readShare } = require('./lib/shares');
+const { translate, supportedLocale } = require('../../shared/i18n');
+const { escapeHtml, renderReflection } = require('../../shared/safeRender');
+
+/**
+ * The read-only page for a shared reflection, served at /r/{slug} (see
+ * netlify.toml). Rendered on the server so link previews get Open Graph
+ * metadata without running any script. A share is shown in the language it
+ * was shared in; the pages without one follow the browser's language.
+ */
+
+const DESCRIPTION_LENGTH = 200;
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text;
+}
+
+function formatDate(iso, locale) {
+  return new Date(iso).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+// The first supported language in the Accept-Language header, else English
+function requestLocale(event) {
+  const header = (event.headers && (event.headers['accept-language'] || event.headers['Accept-Language'])) || '';
+  return header.split(',').map(tag => supportedLocale(tag.split(';')[0].trim())).find(Boolean) || 'en';
+}
+
+// Section labels as in the app (see renderReflection in index.html)
+function reflectionLabels(locale) {
+  const labels = {
+    heading: 'reflectionAndPrayer',
+    application: 'livingItOut',
+    prayer: 'prayer',
+    references: 'scriptureLabel',
+    icebreaker: 'icebreaker',
+    questions: 'discussionQuestions',
+    childrenQuestions: 'talkAboutIt',
+    illustration: 'illustration',
+    conclusion: 'conclusion'
+  };
+  Object.keys(labels).forEach(name => {
+    labels[name] = translate(locale, labels[name]);
+  });
+  return labels;
+}
+
+// The slug after /r/ (or /.netlify/functions/shareView/ when called directly)
+// Slugs are base64url, so they never need decoding; anything else is an unknown share
+function slugFromPath(path) {
+  const match = (path || '').match(/\/(?:r|shareView)\/([^/]+)\/?$/);
+  return match ? match[1] : '';
+}
+
+function page({ locale, title, metadata = '', body }) {
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+${metadata}
+    <style>
+        body {
+            font-family: 'Segoe UI', system-ui, -apple-system, sans-serif;
+            line-height: 1.6;
+            max-width: 720px;
+            margin: 0 auto;
+            padding: 2rem 1.5rem;
+            color: #333;
+            background-color: #f7f9fc;
+        }
+        h1 { color: #45617c; line-height: 1.3; }
+        h2 { color: #5a7d9a; margin-top: 2rem; }
+        .share-meta { color: #666; font-style: italic; }
+        .verse { margin-bottom: 1.2rem; }
+        .verse-reference { font-weight: 600; color: #5a7d9a; }
+        .verse-text { padding-left: 1rem; border-left: 3px solid #e8eef2; }
+        .reflection-title { margin-bottom: 0.5rem; }
+        .reflection-content blockquote { margin: 1rem 0; padding-left: 1rem; border-left: 3px solid #f0c674; font-style: italic; }
+        .reflection-prayer { font-style: italic; }
+        .sermon-illustration { padding-left: 1rem; border-left: 3px solid #f0c674; color: #666; }
+        .sermon-illustration strong { display: block; }
+        .reflection-references { color: #666; font-size: 0.9rem; }
+        /* References are links in the app; on this read-only page they are plain text */
+        .scripture-link { background: none; border: none; padding: 0; font: inherit; color: inherit; }
+        footer { margin-top: 3rem; color: #666; font-size: 0.9rem; }
+        footer a { color: #5a7d9a; }
+    </style>
+</head>
+<body>
+${body}
+    <footer><a href="/">${escapeHtml(translate(locale, 'appTitle'))}</a> &middot; ${escapeHtml(translate(locale, 'sharedPageFooter'))}</footer>
+</body>
+</html>`;
+}
+
+// The share's URL comes from the site's configured URL (set by Netlify) and never the
+// request's Host header, which the client chooses. Without one the page has no og:url.
+function shareUrl(slug) {
+  return process.env.URL ? `${process.env.URL}/r/${slug}` : null;
+}
+
+function sharePage(share) {
+  const url = shareUrl(share.slug);
+  const locale = share.language || 'en';
+  const siteName = translate(locale, 'appTitle');
+  const reflection = share.reflection;
+  const title = reflection.title || share.subject;
+  const firstVerse = share.verses[0];
+  const description = truncate(`${firstVerse.reference}: ${firstVerse.text}`, DESCRIPTION_LENGTH);
+
+  const metadata = [
+    ['og:type', 'article'],
+    ['og:site_name', siteName],
+    ['og:title', title],
+    ['og:description', description],
+    ...(url ? [['og:url', url]] : []),
+    ['article:published_time', share.createdAt]
+  ].map(([property, content]) => `    <meta property="${property}" content="${escapeHtml(content)}">`)
+    .concat([
+      `    <meta name="description" content="${escapeHtml(description)}">`,
+      '    <meta name="twitter:card" content="summary">'
+    ])
+    .concat(url ? [`    <link rel="canonical" href="${escapeHtml(url)}">`] : [])
+    .join('\n');
+
+  const verses = share.verses.map(verse => `
+        <div class="verse">
+            <div class="verse-reference">${escapeHtml(verse.reference)}</div>
+            <div class="verse-text">${escapeHtml(verse.text)}</div>
+        </div>`).join('');
+
+  const body = `
+    <h1>${escapeHtml(title)}</h1>
+    <p class="share-meta">${escapeHtml([share.subject, share.translation, formatDate(share.createdAt, locale)].join(' · '))}</p>
+    <section>
+        <h2>${escapeHtml(translate(locale, 'scriptures'))}</h2>${verses}
+    </section>
+    <section>
+        ${renderReflection(reflection, false, reflectionLabels(locale))}
+    </section>`;
+
+  return page({ locale, title: `${title} | ${siteName}`, metadata, body });
+}
+
+function notFoundPage(locale) {
+  return page({
+    locale,
+    title: `${translate(locale, 'shareNotFoundTitle')} | ${translate(locale, 'appTitle')}`,
+    body: `
+    <h1>${escapeHtml(translate(locale, 'shareNotFound'))}</h1>
+    <p>${escapeHtml(translate(locale, 'shareNotFoundDetail'))}</p>`
+  });
+}
+
+exports.handler = async function(event, context) {
+  const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+  const locale = requestLocale(event);
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'HEAD') {
+    return { statusCode: 405, headers: { ...headers, 'Allow': 'GET, HEAD' }, body: '' };
+  }
+
+  const rateLimit = await checkRateLimit(event, 'share-view');
+  Object.assign(headers, rateLimit.headers);
+  if (!rateLimit.allowed) {
+    return {
+      statusCode: 429,
+      headers: { ...headers, 'Retry-After': String(rateLimit.retryAfterSeconds) },
+      body: page({
+        locale,
+        title: translate(locale, 'appTitle'),
+        body: `\n    <p>${escapeHtml(translate(locale, 'shareTooManyRequests', { seconds: rateLimit.retryAfterSeconds }))}</p>`
+      })
+    };
+  }
+
+  const slug = slugFromPath(event.path);
+  let share;
+  try {
+    share = await readShare(getShareStore(event), slug);
+  } catch (error) {
+    console.error('Share store error:', error.message);
+    return {
+      statusCode: 500,
+      headers,
+      body: page({ locale, title: translate(locale, 'appTitle'), body: `\n    <p>${escapeHtml(translate(locale, 'shareLoadFailed'))}</p>` })
+    };
+  }
+
+  if (!share) {
+    return { statusCode: 404, headers, body: notFoundPage(locale) };
+  }
+
+  return {
+    statusCode: 200,
+    // Revoking a share should take effect straight away, so don't let caches keep it
+    headers: { ...headers, 'Cache-Control': 'no-cache' },
+    body: sharePage(share)
+  };
+};
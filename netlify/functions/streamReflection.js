@@ -0,0 +1,165 @@
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { circuitRetryAfterHeaders, isCircuitOpen } = require('./lib/aiClient');
+const { ApiError, legacyErrorResponse } = require('./lib/apiError');
+const { resolveTranslation, resolveLanguage, verifyVerses } = require('./lib/bible');
+const { checkRateLimit } = require('./lib/rateLimit');
+const { validate } = require('./lib/schema');
+const { evaluateTopic } = require('./lib/topicEvaluation');
+const { topicCheckDetails } = require('./lib/topicGate');
+const { streamReflection } = require('./lib/reflectionStream');
+const { DEFAULT_MODE } = require('../../shared/reflectionFormat');
+
+/**
+ * Netlify streaming function that generates a reflection and prayer and sends
+ * it to the browser as Server-Sent Events while the model is still writing.
+ *
+ * Expected POST body: the same as reflectionStatus
+ * {
+ *   topic: string,
+ *   verses: Array<{reference: string, text: string}>,
+ *   translation?: string,
+ *   language?: string,
+ *   mode?: string
+ * }
+ *
+ * Events:
+ * - "token": {text} - the next piece of the reflection text (see shared/reflectionFormat.js)
+ * - "done": {result} - the complete structured reflection
+ * - "error": {error, message} - generation failed
+ *
+ * Requests that are rejected before generation starts (rate limits, invalid
+ * input, off-topic) get an ordinary JSON response, exactly like reflectionStatus.
+ */
+
+async function handleRequest(event) {
+  // Set CORS headers
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 204,
+      headers
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const rateLimit = await checkRateLimit(event, 'reflection');
+  Object.assign(headers, rateLimit.headers);
+
+  if (!rateLimit.allowed) {
+    return {
+      statusCode: 429,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Retry-After': String(rateLimit.retryAfterSeconds)
+      },
+      body: JSON.stringify({
+        error: 'Too many requests',
+        message: `Please try again in ${rateLimit.retryAfterSeconds} seconds`
+      })
+    };
+  }
+
+  if (isCircuitOpen()) {
+    return {
+      statusCode: 503,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        ...circuitRetryAfterHeaders()
+      },
+      body: JSON.stringify({
+        error: 'Service unavailable',
+        message: 'The AI service is temporarily unavailable. Please try again shortly.'
+      })
+    };
+  }
+
+  let topic;
+  let verses;
+  let translation;
+  let language;
+  let mode;
+  try {
+    let body;
+    try {
+      body = JSON.parse(event.body || 'null');
+    } catch (error) {
+      throw new ApiError(400, 'INVALID_JSON', 'The request body is not valid JSON');
+    }
+
+    // Same request body as POST /api/v1/reflections/stream
+    const errors = validate('ReflectionRequest', body);
+    if (errors.length > 0) {
+      throw new ApiError(400, 'VALIDATION_FAILED', errors.map(error => `${error.path} ${error.message}`).join(', '), { details: errors });
+    }
+
+    translation = resolveTranslation(body.translation);
+    language = resolveLanguage(body.language, translation);
+    mode = body.mode || DEFAULT_MODE;
+    topic = body.topic.trim();
+
+    // Re-read public-domain text from the local Bible
+    verses = verifyVerses(body.verses, { translation });
+
+    if (verses.length === 0) {
+      throw new ApiError(400, 'VALIDATION_FAILED', 'None of the verses has a valid reference', {
+        details: [{ path: '/verses', message: 'has no valid references' }]
+      });
+    }
+  } catch (error) {
+    // Only ApiErrors are thrown above; the response carries their /api/v1 error code
+    console.error('Error starting reflection stream:', error.message);
+    return legacyErrorResponse(error, headers);
+  }
+
+  // Check that the topic can be addressed from a biblical perspective (locally first, then with the AI)
+  const evaluation = await evaluateTopic(topic, language);
+
+  if (!evaluation.canBeAddressed) {
+    console.log(`Rejecting non-Bible related topic: "${topic}", Reason: ${evaluation.reason}`);
+    return {
+      statusCode: 200, // Using 200 instead of 400 for better client handling
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        notBibleRelated: true,
+        message: "I'm happy to help you with Bible-related topics, daily devotions, and Christian reflections. This topic doesn't appear to have a strong connection to biblical teachings or principles. If you'd like, you can ask about scriptures, biblical characters, Christian living, or how the Bible might provide guidance for specific life situations.",
+        topicCheck: topicCheckDetails(evaluation)
+      })
+    };
+  }
+
+  // Return the stream straight away and keep writing to it as tokens arrive
+  const output = new PassThrough();
+  streamReflection(output, { topic, verses, translation, language, mode });
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'X-Accel-Buffering': 'no'
+    },
+    body: output
+  };
+}
+
+exports.handler = stream(handleRequest);
@@ -0,0 +1,83 @@
+const { schedule } = require('@netlify/functions');
+const { DEFAULT_TRANSLATION, resolveTranslation } = require('./lib/bible');
+const { getResponseCache } = require('./lib/responseCache');
+const { searchVerses } = require('./lib/verseSearch');
+
+/**
+ * Netlify scheduled function that warms the response cache by searching for
+ * popular topics ahead of time, so the first visitor to ask about them gets
+ * an instant answer too.
+ *
+ * Topics that are already cached are skipped, so each run only pays for
+ * topics whose cache entries have expired (or were never stored). A run that
+ * hits its time budget leaves the rest of the list for the next run.
+ *
+ * CACHE_WARM_TOPICS and CACHE_WARM_TRANSLATIONS (comma-separated) replace
+ * the default topics and translation.
+ */
+
+const POPULAR_TOPICS = [
+  'forgiveness',
+  'anxiety',
+  'love',
+  'hope',
+  'grief',
+  'faith',
+  'fear',
+  'patience',
+  'marriage',
+  'healing',
+  'strength',
+  'gratitude',
+  'peace',
+  'prayer',
+  'depression'
+];
+
+// Scheduled functions are stopped after 30 seconds
+const RUN_BUDGET_MS = 25 * 1000;
+// Don't start a search that has little chance of finishing in time
+const MIN_SEARCH_MS = 10 * 1000;
+
+function listFromEnv(value, fallback) {
+  const items = (value || '').split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : fallback;
+}
+
+async function warmCache(event) {
+  const deadline = Date.now() + RUN_BUDGET_MS;
+  const cache = getResponseCache(event);
+
+  const topics = listFromEnv(process.env.CACHE_WARM_TOPICS, POPULAR_TOPICS);
+  const translations = listFromEnv(process.env.CACHE_WARM_TRANSLATIONS, [DEFAULT_TRANSLATION])
+    .map(resolveTranslation)
+    .filter(Boolean);
+
+  let warmed = 0;
+  let cached = 0;
+
+  for (const translation of translations) {
+    for (const topic of topics) {
+      if (deadline - Date.now() < MIN_SEARCH_MS) {
+        console.log(`Cache warming out of time after ${warmed} searches, resuming next run`);
+        return { statusCode: 200 };
+      }
+
+      try {
+        const search = await searchVerses(topic, translation, { cache, deadline });
+        if (search.cachedAt) {
+          cached++;
+        } else {
+          warmed++;
+        }
+      } catch (error) {
+        console.error(`Failed to warm cache for "${topic}" (${translation}):`, error.message);
+      }
+    }
+  }
+
+  console.log(`Cache warming finished: ${warmed} searches run, ${cached} already cached`);
+  return { statusCode: 200 };
+}
+
+exports.handler = schedule('@hourly', warmCache);
@@ -0,0 +1,579 @@
+/**
+ * The page's interface strings in English, Spanish and Portuguese, and the
+ * reader's chosen locale.
+ *
+ * Loaded by the browser as window.I18n. The locale is kept in localStorage;
+ * on a first visit it comes from the browser's language, falling back to
+ * English. The locale is also the `language` sent with searches and
+ * reflections (see schemas/v1/api.json), so it must be one the API supports.
+ *
+ * Messages may contain {name} placeholders. A message with a plural takes a
+ * `count` parameter and has `one` and `other` forms.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.I18n = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const STORAGE_KEY = 'locale';
+  const DEFAULT_LOCALE = 'en';
+  const globalScope = typeof self !== 'undefined' ? self : {};
+
+  // Each locale's name, in its own language, for the locale picker
+  const LOCALES = {
+    en: 'English',
+    es: 'Español',
+    pt: 'Português'
+  };
+
+  const MESSAGES = {
+    en: {
+      appTitle: 'Bible Reflection',
+      topicPlaceholder: 'Enter any topic, character, or passage (e.g. Psalm 23)',
+      localeLabel: 'Language',
+      translationLabel: 'Bible translation',
+      exactText: 'Exact text',
+      quotedByAi: 'Quoted by AI',
+      planLengthLabel: 'Search or reading plan',
+      singleSearch: 'Single search',
+      dayPlan: '{days}-day plan',
+      modeLabel: 'Reflection style',
+      modeDevotional: 'Devotional',
+      modeChildren: "Children's devotion",
+      modeSmallGroup: 'Small-group guide',
+      modeSermon: 'Sermon outline',
+      modePrayer: 'Prayer only',
+      findScriptures: 'Find Scriptures',
+      searching: 'Searching...',
+      planning: 'Planning...',
+      today: 'Today',
+      plans: 'Plans',
+      journal: 'Journal',
+      readingPlans: 'Reading Plans',
+      journalSearchPlaceholder: 'Search past entries (use #tag for tags)',
+      journalSearchLabel: 'Search journal',
+      export: 'Export',
+      import: 'Import',
+      scriptures: 'Scriptures',
+      scripturesPlaceholder: 'Your Bible verses will appear here...',
+      reflectionAndPrayer: 'Reflection & Prayer',
+      reflectionPlaceholder: 'Your reflection and prayer will appear here...',
+      myNotes: 'My Notes',
+      notesPlaceholder: 'What stood out to you? What will you do about it?',
+      notesLabel: 'Notes',
+      tagsPlaceholder: 'Tags, e.g. prayer, small group',
+      tagsLabel: 'Tags',
+      saveToJournal: 'Save to journal',
+      footer: 'Bible Reflection App © 2025 | A tool for spiritual growth and reflection',
+
+      // Verse cards and reflections
+      showRelated: 'Show related passages',
+      wordingDiffers: 'This wording differs from the {translation} text: "{text}"',
+      readInContext: 'Read in context',
+      livingItOut: 'Living It Out',
+      icebreaker: 'Icebreaker',
+      discussionQuestions: 'Discussion Questions',
+      talkAboutIt: 'Talk About It',
+      illustration: 'Illustration',
+      conclusion: 'Conclusion',
+      prayer: 'Prayer',
+      scriptureLabel: 'Scripture:',
+      markdown: 'Markdown',
+      pdf: 'PDF',
+      print: 'Print',
+      shareLinkLabel: 'Share link',
+      copyLink: 'Copy link',
+      stopSharing: 'Stop sharing',
+      share: 'Share',
+      shareCreated: 'Anyone with the link can read this reflection.',
+      linkCopied: 'Link copied.',
+      confirmStopSharing: 'Stop sharing? The link will no longer work.',
+      shareRevoked: 'The link no longer works.',
+      sharedPageFooter: 'find Scripture and a reflection for any topic',
+      shareNotFoundTitle: 'Reflection not found',
+      shareNotFound: "This reflection isn't shared",
+      shareNotFoundDetail: 'The link may be mistyped, or whoever shared it has stopped sharing it.',
+      shareLoadFailed: 'Sorry, this reflection could not be loaded. Please try again later.',
+      shareTooManyRequests: 'Too many requests. Please try again in {seconds} seconds.',
+
+      // Searching and reflecting
+      quotaReached: "You've reached the request limit. Please wait {seconds} seconds before trying again.",
+      quotaLow: {
+        one: '{count} request of this kind left for now. The limit fully resets in {seconds} seconds.',
+        other: '{count} requests of this kind left for now. The limit fully resets in {seconds} seconds.'
+      },
+      requestFailed: 'Request failed (HTTP {status})',
+      findingVerses: 'Finding verses about "{query}"',
+      searchFailed: 'Could not find Bible verses for your query. Please try again later.',
+      lookingUp: 'Looking up {reference}...',
+      scripturesAbout: 'Scriptures about "{query}"',
+      noVersesFound: 'No verses found',
+      noVersesFor: 'Sorry, we couldn\'t find any verses for "{query}".',
+      errorDetail: 'Error: {message}',
+      offerReflection: 'Would you like a reflection and prayer on {topic}?',
+      writeReflection: 'Write a reflection',
+      generatingReflection: 'Generating reflection and prayer',
+      reflectionRetry: 'Retry {retry}/{max}: Generating reflection...',
+      reflectionSlow: 'Reflection generation is taking longer than expected. Please try again.',
+      reflectionInterrupted: 'The reflection was interrupted. Please try again.',
+      reflectionFailed: 'Sorry, something went wrong while generating the reflection.',
+      reflectionTryAgain: 'Please try clicking "Find Scriptures" again.',
+      reflectionUnavailable: "Sorry, we couldn't generate a reflection at this time.",
+      unknownError: 'Unknown error',
+      enterTopic: 'Please enter a topic, book, or character from the Bible',
+      queryTooLong: 'Please enter a shorter query (maximum 100 characters)',
+      appropriateLanguage: 'Please use appropriate language for Bible reflection topics',
+
+      // Related passages and reading in context
+      findingRelated: 'Finding related passages...',
+      noRelated: 'No related passages are listed for this verse.',
+      relatedPassages: 'Related passages',
+      addToReflection: 'Add to reflection',
+      alreadyIncluded: 'Already included',
+      added: 'Added',
+      addedBeyondLimit: "Added (reflections use the first {limit} verses, so it won't be included)",
+      versesAdded: "You've added verses since this reflection was written.",
+      writeNewReflection: 'Write a new reflection',
+      loadingReference: 'Loading {reference}...',
+      close: 'Close',
+      paragraph: 'Paragraph',
+      wholeChapter: 'Whole chapter',
+      contextNote: 'Historical and literary context',
+      contextNoteFor: '{reference}: historical and literary context',
+      writingContextNote: 'Writing the context note...',
+
+      // Journal
+      open: 'Open',
+      delete: 'Delete',
+      verseCount: { one: '{count} verse', other: '{count} verses' },
+      journalUnavailable: "The journal isn't available in this browser.",
+      noMatchingEntries: 'No entries match your search.',
+      journalEmpty: 'Your journal is empty. Every search you make is saved here.',
+      entryCount: { one: '{count} entry', other: '{count} entries' },
+      exportFailed: "Couldn't export the journal.",
+      imported: 'Imported {added} new and {updated} updated entries.',
+      importedSkipped: 'Imported {added} new and {updated} updated entries ({skipped} already up to date or unreadable).',
+      importFailed: 'Import failed: {message}',
+      invalidJson: 'the file is not valid JSON',
+      confirmDeleteEntry: 'Delete this journal entry?',
+      saved: 'Saved.',
+      saveFailed: "Couldn't save to the journal.",
+
+      // Today
+      loadingToday: "Loading today's devotional...",
+      todayFailed: "Sorry, today's devotional couldn't be loaded.",
+      todayTheme: 'Today: {theme}',
+      todayPending: "Today's reflection is still being written. Please check back soon.",
+
+      // Reading plans
+      readingPlan: 'Reading Plan',
+      planningDays: 'Planning {days} days on "{topic}"',
+      planFailed: 'Sorry, we couldn\'t build a reading plan on "{topic}".',
+      planSlow: 'The reading plan is taking longer than expected. Please try again.',
+      planDay: 'Day {day} of {total}: {reference}',
+      daysRead: '{read} of {total} days read',
+      planNotSaved: " (this plan couldn't be saved in this browser)",
+      passageTranslationFallback: 'The {requested} text isn\'t available here, so this passage is quoted from the {translation}.',
+      planTranslationFallback: 'The {requested} text isn\'t available here, so the passages are quoted from the {translation}.',
+      previousDay: 'Previous day',
+      nextDay: 'Next day',
+      markRead: 'Mark as read',
+      markUnread: 'Mark as unread',
+      addToCalendar: 'Add to calendar (.ics)',
+      days: 'Days',
+      noPlans: 'No reading plans yet. Choose a plan length next to the search box to start one.',
+      planCount: { one: '{count} plan', other: '{count} plans' },
+      planFrom: 'from {date}',
+      confirmDeletePlan: 'Delete this reading plan?'
+    },
+
+    es: {
+      appTitle: 'Reflexión Bíblica',
+      topicPlaceholder: 'Escribe un tema, un personaje o un pasaje (p. ej. Salmo 23)',
+      localeLabel: 'Idioma',
+      translationLabel: 'Traducción de la Biblia',
+      exactText: 'Texto exacto',
+      quotedByAi: 'Citada por IA',
+      planLengthLabel: 'Búsqueda o plan de lectura',
+      singleSearch: 'Búsqueda única',
+      dayPlan: 'Plan de {days} días',
+      modeLabel: 'Estilo de reflexión',
+      modeDevotional: 'Devocional',
+      modeChildren: 'Devocional para niños',
+      modeSmallGroup: 'Guía para grupo pequeño',
+      modeSermon: 'Bosquejo de sermón',
+      modePrayer: 'Solo oración',
+      findScriptures: 'Buscar pasajes',
+      searching: 'Buscando...',
+      planning: 'Planificando...',
+      today: 'Hoy',
+      plans: 'Planes',
+      journal: 'Diario',
+      readingPlans: 'Planes de lectura',
+      journalSearchPlaceholder: 'Busca entradas anteriores (usa #etiqueta para etiquetas)',
+      journalSearchLabel: 'Buscar en el diario',
+      export: 'Exportar',
+      import: 'Importar',
+      scriptures: 'Pasajes',
+      scripturesPlaceholder: 'Tus versículos aparecerán aquí...',
+      reflectionAndPrayer: 'Reflexión y oración',
+      reflectionPlaceholder: 'Tu reflexión y oración aparecerán aquí...',
+      myNotes: 'Mis notas',
+      notesPlaceholder: '¿Qué te llamó la atención? ¿Qué harás al respecto?',
+      notesLabel: 'Notas',
+      tagsPlaceholder: 'Etiquetas, p. ej. oración, grupo pequeño',
+      tagsLabel: 'Etiquetas',
+      saveToJournal: 'Guardar en el diario',
+      footer: 'Bible Reflection App © 2025 | Una herramienta para el crecimiento espiritual y la reflexión',
+
+      showRelated: 'Mostrar pasajes relacionados',
+      wordingDiffers: 'Esta redacción difiere del texto de la {translation}: "{text}"',
+      readInContext: 'Leer en contexto',
+      livingItOut: 'Para vivirlo',
+      icebreaker: 'Para romper el hielo',
+      discussionQuestions: 'Preguntas para conversar',
+      talkAboutIt: 'Hablemos',
+      illustration: 'Ilustración',
+      conclusion: 'Conclusión',
+      prayer: 'Oración',
+      scriptureLabel: 'Escritura:',
+      markdown: 'Markdown',
+      pdf: 'PDF',
+      print: 'Imprimir',
+      shareLinkLabel: 'Enlace para compartir',
+      copyLink: 'Copiar enlace',
+      stopSharing: 'Dejar de compartir',
+      share: 'Compartir',
+      shareCreated: 'Cualquiera con el enlace puede leer esta reflexión.',
+      linkCopied: 'Enlace copiado.',
+      confirmStopSharing: '¿Dejar de compartir? El enlace dejará de funcionar.',
+      shareRevoked: 'El enlace ya no funciona.',
+      sharedPageFooter: 'pasajes bíblicos y una reflexión sobre cualquier tema',
+      shareNotFoundTitle: 'Reflexión no encontrada',
+      shareNotFound: 'Esta reflexión no está compartida',
+      shareNotFoundDetail: 'Puede que el enlace esté mal escrito, o que quien la compartió haya dejado de compartirla.',
+      shareLoadFailed: 'Lo sentimos, no se pudo cargar esta reflexión. Inténtalo de nuevo más tarde.',
+      shareTooManyRequests: 'Demasiadas solicitudes. Inténtalo de nuevo en {seconds} segundos.',
+
+      quotaReached: 'Has alcanzado el límite de solicitudes. Espera {seconds} segundos antes de volver a intentarlo.',
+      quotaLow: {
+        one: 'Te queda {count} solicitud de este tipo por ahora. El límite se restablece por completo en {seconds} segundos.',
+        other: 'Te quedan {count} solicitudes de este tipo por ahora. El límite se restablece por completo en {seconds} segundos.'
+      },
+      requestFailed: 'La solicitud falló (HTTP {status})',
+      findingVerses: 'Buscando versículos sobre "{query}"',
+      searchFailed: 'No se encontraron versículos para tu búsqueda. Inténtalo de nuevo más tarde.',
+      lookingUp: 'Buscando {reference}...',
+      scripturesAbout: 'Pasajes sobre "{query}"',
+      noVersesFound: 'No se encontraron versículos',
+      noVersesFor: 'Lo sentimos, no encontramos versículos para "{query}".',
+      errorDetail: 'Error: {message}',
+      offerReflection: '¿Quieres una reflexión y una oración sobre {topic}?',
+      writeReflection: 'Escribir una reflexión',
+      generatingReflection: 'Escribiendo la reflexión y la oración',
+      reflectionRetry: 'Intento {retry}/{max}: escribiendo la reflexión...',
+      reflectionSlow: 'La reflexión está tardando más de lo esperado. Inténtalo de nuevo.',
+      reflectionInterrupted: 'La reflexión se interrumpió. Inténtalo de nuevo.',
+      reflectionFailed: 'Lo sentimos, algo salió mal al escribir la reflexión.',
+      reflectionTryAgain: 'Vuelve a pulsar "Buscar pasajes".',
+      reflectionUnavailable: 'Lo sentimos, no pudimos escribir una reflexión en este momento.',
+      unknownError: 'Error desconocido',
+      enterTopic: 'Escribe un tema, un libro o un personaje de la Biblia',
+      queryTooLong: 'Escribe una búsqueda más corta (máximo 100 caracteres)',
+      appropriateLanguage: 'Usa un lenguaje apropiado para los temas de reflexión bíblica',
+
+      findingRelated: 'Buscando pasajes relacionados...',
+      noRelated: 'No hay pasajes relacionados para este versículo.',
+      relatedPassages: 'Pasajes relacionados',
+      addToReflection: 'Añadir a la reflexión',
+      alreadyIncluded: 'Ya está incluido',
+      added: 'Añadido',
+      addedBeyondLimit: 'Añadido (las reflexiones usan los primeros {limit} versículos, así que no se incluirá)',
+      versesAdded: 'Has añadido versículos desde que se escribió esta reflexión.',
+      writeNewReflection: 'Escribir una nueva reflexión',
+      loadingReference: 'Cargando {reference}...',
+      close: 'Cerrar',
+      paragraph: 'Párrafo',
+      wholeChapter: 'Capítulo completo',
+      contextNote: 'Contexto histórico y literario',
+      contextNoteFor: '{reference}: contexto histórico y literario',
+      writingContextNote: 'Escribiendo la nota de contexto...',
+
+      open: 'Abrir',
+      delete: 'Eliminar',
+      verseCount: { one: '{count} versículo', other: '{count} versículos' },
+      journalUnavailable: 'El diario no está disponible en este navegador.',
+      noMatchingEntries: 'Ninguna entrada coincide con tu búsqueda.',
+      journalEmpty: 'Tu diario está vacío. Cada búsqueda que hagas se guarda aquí.',
+      entryCount: { one: '{count} entrada', other: '{count} entradas' },
+      exportFailed: 'No se pudo exportar el diario.',
+      imported: 'Se importaron {added} entradas nuevas y {updated} actualizadas.',
+      importedSkipped: 'Se importaron {added} entradas nuevas y {updated} actualizadas ({skipped} ya estaban al día o no se pudieron leer).',
+      importFailed: 'La importación falló: {message}',
+      invalidJson: 'el archivo no es JSON válido',
+      confirmDeleteEntry: '¿Eliminar esta entrada del diario?',
+      saved: 'Guardado.',
+      saveFailed: 'No se pudo guardar en el diario.',
+
+      loadingToday: 'Cargando el devocional de hoy...',
+      todayFailed: 'Lo sentimos, no se pudo cargar el devocional de hoy.',
+      todayTheme: 'Hoy: {theme}',
+      todayPending: 'La reflexión de hoy todavía se está escribiendo. Vuelve a consultar pronto.',
+
+      readingPlan: 'Plan de lectura',
+      planningDays: 'Planificando {days} días sobre "{topic}"',
+      planFailed: 'Lo sentimos, no pudimos crear un plan de lectura sobre "{topic}".',
+      planSlow: 'El plan de lectura está tardando más de lo esperado. Inténtalo de nuevo.',
+      planDay: 'Día {day} de {total}: {reference}',
+      daysRead: '{read} de {total} días leídos',
+      planNotSaved: ' (este plan no se pudo guardar en este navegador)',
+      passageTranslationFallback: 'El texto de la {requested} no está disponible aquí, así que este pasaje se cita de la {translation} (en inglés).',
+      planTranslationFallback: 'El texto de la {requested} no está disponible aquí, así que los pasajes se citan de la {translation} (en inglés).',
+      previousDay: 'Día anterior',
+      nextDay: 'Día siguiente',
+      markRead: 'Marcar como leído',
+      markUnread: 'Marcar como no leído',
+      addToCalendar: 'Añadir al calendario (.ics)',
+      days: 'Días',
+      noPlans: 'Todavía no hay planes de lectura. Elige una duración junto al cuadro de búsqueda para empezar uno.',
+      planCount: { one: '{count} plan', other: '{count} planes' },
+      planFrom: 'desde el {date}',
+      confirmDeletePlan: '¿Eliminar este plan de lectura?'
+    },
+
+    pt: {
+      appTitle: 'Reflexão Bíblica',
+      topicPlaceholder: 'Digite um tema, um personagem ou uma passagem (ex.: Salmo 23)',
+      localeLabel: 'Idioma',
+      translationLabel: 'Tradução da Bíblia',
+      exactText: 'Texto exato',
+      quotedByAi: 'Citada por IA',
+      planLengthLabel: 'Busca ou plano de leitura',
+      singleSearch: 'Busca única',
+      dayPlan: 'Plano de {days} dias',
+      modeLabel: 'Estilo de reflexão',
+      modeDevotional: 'Devocional',
+      modeChildren: 'Devocional infantil',
+      modeSmallGroup: 'Guia para pequeno grupo',
+      modeSermon: 'Esboço de sermão',
+      modePrayer: 'Somente oração',
+      findScriptures: 'Buscar passagens',
+      searching: 'Buscando...',
+      planning: 'Planejando...',
+      today: 'Hoje',
+      plans: 'Planos',
+      journal: 'Diário',
+      readingPlans: 'Planos de leitura',
+      journalSearchPlaceholder: 'Pesquise entradas anteriores (use #etiqueta para etiquetas)',
+      journalSearchLabel: 'Pesquisar no diário',
+      export: 'Exportar',
+      import: 'Importar',
+      scriptures: 'Passagens',
+      scripturesPlaceholder: 'Seus versículos aparecerão aqui...',
+      reflectionAndPrayer: 'Reflexão e oração',
+      reflectionPlaceholder: 'Sua reflexão e oração aparecerão aqui...',
+      myNotes: 'Minhas anotações',
+      notesPlaceholder: 'O que chamou sua atenção? O que você vai fazer a respeito?',
+      notesLabel: 'Anotações',
+      tagsPlaceholder: 'Etiquetas, ex.: oração, pequeno grupo',
+      tagsLabel: 'Etiquetas',
+      saveToJournal: 'Salvar no diário',
+      footer: 'Bible Reflection App © 2025 | Uma ferramenta para o crescimento espiritual e a reflexão',
+
+      showRelated: 'Mostrar passagens relacionadas',
+      wordingDiffers: 'Este texto difere do texto da {translation}: "{text}"',
+      readInContext: 'Ler no contexto',
+      livingItOut: 'Para viver',
+      icebreaker: 'Quebra-gelo',
+      discussionQuestions: 'Perguntas para discussão',
+      talkAboutIt: 'Vamos conversar',
+      illustration: 'Ilustração',
+      conclusion: 'Conclusão',
+      prayer: 'Oração',
+      scriptureLabel: 'Escritura:',
+      markdown: 'Markdown',
+      pdf: 'PDF',
+      print: 'Imprimir',
+      shareLinkLabel: 'Link para compartilhar',
+      copyLink: 'Copiar link',
+      stopSharing: 'Parar de compartilhar',
+      share: 'Compartilhar',
+      shareCreated: 'Qualquer pessoa com o link pode ler esta reflexão.',
+      linkCopied: 'Link copiado.',
+      confirmStopSharing: 'Parar de compartilhar? O link deixará de funcionar.',
+      shareRevoked: 'O link não funciona mais.',
+      sharedPageFooter: 'passagens bíblicas e uma reflexão sobre qualquer tema',
+      shareNotFoundTitle: 'Reflexão não encontrada',
+      shareNotFound: 'Esta reflexão não está compartilhada',
+      shareNotFoundDetail: 'O link pode estar digitado errado, ou quem a compartilhou deixou de compartilhá-la.',
+      shareLoadFailed: 'Desculpe, não foi possível carregar esta reflexão. Tente novamente mais tarde.',
+      shareTooManyRequests: 'Muitas solicitações. Tente novamente em {seconds} segundos.',
+
+      quotaReached: 'Você atingiu o limite de solicitações. Aguarde {seconds} segundos antes de tentar novamente.',
+      quotaLow: {
+        one: 'Resta {count} solicitação deste tipo por enquanto. O limite é totalmente restabelecido em {seconds} segundos.',
+        other: 'Restam {count} solicitações deste tipo por enquanto. O limite é totalmente restabelecido em {seconds} segundos.'
+      },
+      requestFailed: 'A solicitação falhou (HTTP {status})',
+      findingVerses: 'Buscando versículos sobre "{query}"',
+      searchFailed: 'Não foi possível encontrar versículos para sua busca. Tente novamente mais tarde.',
+      lookingUp: 'Buscando {reference}...',
+      scripturesAbout: 'Passagens sobre "{query}"',
+      noVersesFound: 'Nenhum versículo encontrado',
+      noVersesFor: 'Desculpe, não encontramos versículos para "{query}".',
+      errorDetail: 'Erro: {message}',
+      offerReflection: 'Deseja uma reflexão e uma oração sobre {topic}?',
+      writeReflection: 'Escrever uma reflexão',
+      generatingReflection: 'Escrevendo a reflexão e a oração',
+      reflectionRetry: 'Tentativa {retry}/{max}: escrevendo a reflexão...',
+      reflectionSlow: 'A reflexão está demorando mais do que o esperado. Tente novamente.',
+      reflectionInterrupted: 'A reflexão foi interrompida. Tente novamente.',
+      reflectionFailed: 'Desculpe, algo deu errado ao escrever a reflexão.',
+      reflectionTryAgain: 'Clique em "Buscar passagens" novamente.',
+      reflectionUnavailable: 'Desculpe, não foi possível escrever uma reflexão agora.',
+      unknownError: 'Erro desconhecido',
+      enterTopic: 'Digite um tema, um livro ou um personagem da Bíblia',
+      queryTooLong: 'Digite uma busca mais curta (máximo de 100 caracteres)',
+      appropriateLanguage: 'Use uma linguagem apropriada para temas de reflexão bíblica',
+
+      findingRelated: 'Buscando passagens relacionadas...',
+      noRelated: 'Não há passagens relacionadas para este versículo.',
+      relatedPassages: 'Passagens relacionadas',
+      addToReflection: 'Adicionar à reflexão',
+      alreadyIncluded: 'Já incluído',
+      added: 'Adicionado',
+      addedBeyondLimit: 'Adicionado (as reflexões usam os primeiros {limit} versículos, então ele não será incluído)',
+      versesAdded: 'Você adicionou versículos desde que esta reflexão foi escrita.',
+      writeNewReflection: 'Escrever uma nova reflexão',
+      loadingReference: 'Carregando {reference}...',
+      close: 'Fechar',
+      paragraph: 'Parágrafo',
+      wholeChapter: 'Capítulo inteiro',
+      contextNote: 'Contexto histórico e literário',
+      contextNoteFor: '{reference}: contexto histórico e literário',
+      writingContextNote: 'Escrevendo a nota de contexto...',
+
+      open: 'Abrir',
+      delete: 'Excluir',
+      verseCount: { one: '{count} versículo', other: '{count} versículos' },
+      journalUnavailable: 'O diário não está disponível neste navegador.',
+      noMatchingEntries: 'Nenhuma entrada corresponde à sua pesquisa.',
+      journalEmpty: 'Seu diário está vazio. Cada busca que você fizer é salva aqui.',
+      entryCount: { one: '{count} entrada', other: '{count} entradas' },
+      exportFailed: 'Não foi possível exportar o diário.',
+      imported: '{added} entradas novas e {updated} atualizadas importadas.',
+      importedSkipped: '{added} entradas novas e {updated} atualizadas importadas ({skipped} já estavam atualizadas ou não puderam ser lidas).',
+      importFailed: 'A importação falhou: {message}',
+      invalidJson: 'o arquivo não é um JSON válido',
+      confirmDeleteEntry: 'Excluir esta entrada do diário?',
+      saved: 'Salvo.',
+      saveFailed: 'Não foi possível salvar no diário.',
+
+      loadingToday: 'Carregando o devocional de hoje...',
+      todayFailed: 'Desculpe, não foi possível carregar o devocional de hoje.',
+      todayTheme: 'Hoje: {theme}',
+      todayPending: 'A reflexão de hoje ainda está sendo escrita. Volte em breve.',
+
+      readingPlan: 'Plano de leitura',
+      planningDays: 'Planejando {days} dias sobre "{topic}"',
+      planFailed: 'Desculpe, não foi possível criar um plano de leitura sobre "{topic}".',
+      planSlow: 'O plano de leitura está demorando mais do que o esperado. Tente novamente.',
+      planDay: 'Dia {day} de {total}: {reference}',
+      daysRead: '{read} de {total} dias lidos',
+      planNotSaved: ' (este plano não pôde ser salvo neste navegador)',
+      passageTranslationFallback: 'O texto da {requested} não está disponível aqui, então esta passagem é citada da {translation} (em inglês).',
+      planTranslationFallback: 'O texto da {requested} não está disponível aqui, então as passagens são citadas da {translation} (em inglês).',
+      previousDay: 'Dia anterior',
+      nextDay: 'Próximo dia',
+      markRead: 'Marcar como lido',
+      markUnread: 'Marcar como não lido',
+      addToCalendar: 'Adicionar ao calendário (.ics)',
+      days: 'Dias',
+      noPlans: 'Ainda não há planos de leitura. Escolha uma duração ao lado da caixa de busca para começar um.',
+      planCount: { one: '{count} plano', other: '{count} planos' },
+      planFrom: 'desde {date}',
+      confirmDeletePlan: 'Excluir este plano de leitura?'
+    }
+  };
+
+  // The supported locale for a language tag such as "pt-BR", or null
+  function supportedLocale(tag) {
+    const locale = String(tag || '').toLowerCase().split('-')[0];
+    return Object.prototype.hasOwnProperty.call(MESSAGES, locale) ? locale : null;
+  }
+
+  // localStorage can be unavailable (private browsing, storage disabled)
+  function readStoredLocale() {
+    try {
+      return globalScope.localStorage ? globalScope.localStorage.getItem(STORAGE_KEY) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const browserLanguages = globalScope.navigator ? globalScope.navigator.languages || [globalScope.navigator.language] : [];
+  let currentLocale = supportedLocale(readStoredLocale())
+    || browserLanguages.map(supportedLocale).find(Boolean)
+    || DEFAULT_LOCALE;
+
+  function getLocale() {
+    return currentLocale;
+  }
+
+  /**
+   * Switch locale and remember it. Unsupported locales are ignored.
+   *
+   * @param {string} locale
+   * @returns {string} the locale now in use
+   */
+  function setLocale(locale) {
+    const supported = supportedLocale(locale);
+    if (supported) {
+      currentLocale = supported;
+      try {
+        globalScope.localStorage.setItem(STORAGE_KEY, supported);
+      } catch (error) {
+        // Still switch for this visit
+      }
+    }
+    return currentLocale;
+  }
+
+  /**
+   * The message for a key in a locale (or English, if the locale doesn't
+   * have it), with its placeholders filled in. For pages rendered on the
+   * server, which have no current locale.
+   *
+   * @param {string} locale
+   * @param {string} key
+   * @param {Object} [params] - placeholder values; `count` also picks the plural form
+   * @returns {string}
+   */
+  function translate(locale, key, params = {}) {
+    const messages = MESSAGES[supportedLocale(locale) || DEFAULT_LOCALE];
+    let message = messages[key] !== undefined ? messages[key] : MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+      return key;
+    }
+    if (typeof message === 'object') {
+      message = params.count === 1 ? message.one : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  // The message for a key in the current locale, see translate
+  function t(key, params = {}) {
+    return translate(currentLocale, key, params);
+  }
+
+  return {
+    LOCALES,
+    getLocale,
+    setLocale,
+    supportedLocale,
+    t,
+    translate
+  };
+});
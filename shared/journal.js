@@ -0,0 +1,312 @@
+/**
+ * The personal reflection journal: every search's query, verses and
+ * reflection, with the reader's own notes and tags, kept in the browser's
+ * IndexedDB.
+ *
+ * Loaded by the browser as window.Journal. The storage functions need
+ * IndexedDB; the search and import helpers are plain functions.
+ *
+ * An entry:
+ * {
+ *   id: string,
+ *   createdAt: string,        // ISO timestamps
+ *   updatedAt: string,
+ *   query: string,            // what was searched for
+ *   reference: string|null,   // the passage, for a direct passage lookup
+ *   translation: string,
+ *   verses: Array<{reference, text, translation?}>,
+ *   reflection: Object|null,  // a structured reflection (see reflectionFormat.js)
+ *   notes: string,
+ *   tags: string[],           // lowercase, without the leading "#"
+ *   share: {slug, url, revokeToken}|null  // the entry's public link, while it is shared
+ * }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Journal = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DB_NAME = 'bible-reflection';
+  const DB_VERSION = 1;
+  const STORE = 'entries';
+
+  // Identifies exported files, so importing something else fails clearly
+  const EXPORT_FORMAT = 'bible-reflection-journal';
+  const EXPORT_VERSION = 1;
+
+  let databasePromise = null;
+
+  function openDatabase() {
+    if (!databasePromise) {
+      databasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // Let a later call try again rather than keep a failed open
+      databasePromise.catch(() => {
+        databasePromise = null;
+      });
+    }
+    return databasePromise;
+  }
+
+  function settle(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run `action(store)` in a transaction and resolve once it has committed
+  async function withStore(mode, action) {
+    const database = await openDatabase();
+    const transaction = database.transaction(STORE, mode);
+    const committed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Journal transaction was aborted'));
+    });
+
+    let result;
+    try {
+      result = await action(transaction.objectStore(STORE));
+    } catch (error) {
+      committed.catch(() => {});
+      try {
+        transaction.abort();
+      } catch (abortError) {
+        // The failed request has already aborted it
+      }
+      throw error;
+    }
+
+    await committed;
+    return result;
+  }
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  }
+
+  /**
+   * Normalize tags given as an array or as text ("prayer, #Hope family"):
+   * lowercase, no "#", no duplicates.
+   */
+  function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[\s,]+/);
+    const normalized = list
+      .map(tag => String(tag).trim().replace(/^#+/, '').toLowerCase())
+      .filter(Boolean);
+    return normalized.filter((tag, index) => normalized.indexOf(tag) === index);
+  }
+
+  // All of an entry's text, lowercased, for full-text search
+  function searchableText(entry) {
+    const reflection = entry.reflection || {};
+    return [
+      entry.query,
+      entry.reference,
+      ...(entry.verses || []).map(verse => `${verse.reference} ${verse.text}`),
+      reflection.title,
+      ...(reflection.paragraphs || []),
+      reflection.icebreaker,
+      ...(reflection.questions || []),
+      ...(reflection.points || []).map(point => `${point.title}\n${point.text}\n${point.illustration}`),
+      reflection.application,
+      reflection.prayer,
+      entry.notes
+    ].filter(Boolean).join('\n').toLowerCase();
+  }
+
+  /**
+   * Whether an entry matches a search. Every word must appear somewhere in
+   * the entry; words starting with "#" must be one of its tags.
+   *
+   * @param {Object} entry
+   * @param {string} search - e.g. "anxiety #prayer"
+   */
+  function matchesSearch(entry, search) {
+    const words = String(search || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return true;
+    }
+
+    const text = searchableText(entry);
+    const tags = entry.tags || [];
+    return words.every(word => word.startsWith('#')
+      ? tags.includes(word.replace(/^#+/, ''))
+      : text.includes(word));
+  }
+
+  /**
+   * Add a new entry for a search.
+   *
+   * @param {{query: string, reference?: string, translation: string, verses: Array, reflection?: Object}} fields
+   * @returns {Promise<Object>} the stored entry
+   */
+  async function addEntry(fields) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: createId(),
+      createdAt: now,
+      updatedAt: now,
+      query: fields.query,
+      reference: fields.reference || null,
+      translation: fields.translation,
+      verses: fields.verses || [],
+      reflection: fields.reflection || null,
+      notes: '',
+      tags: [],
+      share: null
+    };
+    await withStore('readwrite', store => settle(store.add(entry)));
+    return entry;
+  }
+
+  /**
+   * Update an entry's verses, reflection, notes, tags or share.
+   *
+   * @returns {Promise<Object|null>} the updated entry, or null if it no longer exists
+   */
+  async function updateEntry(id, changes) {
+    return withStore('readwrite', async store => {
+      const entry = await settle(store.get(id));
+      if (!entry) {
+        return null;
+      }
+
+      const updated = { ...entry, updatedAt: new Date().toISOString() };
+      if ('verses' in changes) {
+        updated.verses = Array.isArray(changes.verses) ? changes.verses : entry.verses;
+      }
+      if ('reflection' in changes) {
+        updated.reflection = changes.reflection;
+      }
+      if ('notes' in changes) {
+        updated.notes = String(changes.notes || '');
+      }
+      if ('tags' in changes) {
+        updated.tags = normalizeTags(changes.tags);
+      }
+      if ('share' in changes) {
+        updated.share = changes.share || null;
+      }
+
+      await settle(store.put(updated));
+      return updated;
+    });
+  }
+
+  async function getEntry(id) {
+    const entry = await withStore('readonly', store => settle(store.get(id)));
+    return entry || null;
+  }
+
+  async function deleteEntry(id) {
+    await withStore('readwrite', store => settle(store.delete(id)));
+  }
+
+  /**
+   * List entries, newest first.
+   *
+   * @param {string} [search] - only entries matching this search (see matchesSearch)
+   * @returns {Promise<Object[]>}
+   */
+  async function listEntries(search) {
+    const entries = await withStore('readonly', store => settle(store.index('createdAt').getAll()));
+    return entries.reverse().filter(entry => matchesSearch(entry, search));
+  }
+
+  // The whole journal as a JSON-serializable object
+  async function exportJournal() {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries: await listEntries()
+    };
+  }
+
+  function isValidEntry(entry) {
+    return entry && typeof entry === 'object'
+      && typeof entry.id === 'string' && entry.id
+      && typeof entry.query === 'string'
+      && !isNaN(Date.parse(entry.createdAt))
+      && Array.isArray(entry.verses);
+  }
+
+  /**
+   * Merge an exported journal into this one. Entries are matched by id; an
+   * existing entry is only replaced by a more recently updated copy.
+   *
+   * @param {Object} data - the parsed contents of an export file
+   * @returns {Promise<{added: number, updated: number, skipped: number}>}
+   * @throws {Error} if the data isn't a journal export
+   */
+  async function importJournal(data) {
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.entries)) {
+      throw new Error('This file is not a Bible Reflection journal export');
+    }
+    if (data.version > EXPORT_VERSION) {
+      throw new Error('This journal was exported by a newer version of the app');
+    }
+
+    const counts = { added: 0, updated: 0, skipped: 0 };
+
+    await withStore('readwrite', async store => {
+      for (const imported of data.entries) {
+        if (!isValidEntry(imported)) {
+          counts.skipped++;
+          continue;
+        }
+
+        const entry = {
+          ...imported,
+          updatedAt: imported.updatedAt || imported.createdAt,
+          reference: imported.reference || null,
+          reflection: imported.reflection || null,
+          notes: String(imported.notes || ''),
+          tags: normalizeTags(imported.tags),
+          share: imported.share || null
+        };
+
+        const existing = await settle(store.get(entry.id));
+        if (!existing) {
+          await settle(store.add(entry));
+          counts.added++;
+        } else if (Date.parse(entry.updatedAt) > Date.parse(existing.updatedAt)) {
+          await settle(store.put(entry));
+          counts.updated++;
+        } else {
+          counts.skipped++;
+        }
+      }
+    });
+
+    return counts;
+  }
+
+  return {
+    addEntry,
+    updateEntry,
+    getEntry,
+    deleteEntry,
+    listEntries,
+    exportJournal,
+    importJournal,
+    matchesSearch,
+    normalizeTags
+  };
+});
@@ -0,0 +1,258 @@
+/**
+ * A small PDF writer for text documents: wrapped paragraphs in the standard
+ * Helvetica fonts, paginated, with a footer on every page. No fonts are
+ * embedded, so the file stays small and any PDF reader can show it.
+ *
+ * Loaded by the browser as window.PdfWriter (and requireable in Node).
+ *
+ * Text is encoded as WinAnsi, which covers English and Western European
+ * languages; characters outside it are written as "?".
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PdfWriter = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // US Letter, in points
+  const PAGE_WIDTH = 612;
+  const PAGE_HEIGHT = 792;
+  const MARGIN = 72;
+  const FOOTER_SIZE = 9;
+  const LINE_SPACING = 1.4;
+
+  // Character widths (per 1000 units of font size) for ASCII 32-126, from the standard font metrics
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ];
+  const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ];
+
+  const FONTS = {
+    regular: { name: 'F1', baseFont: 'Helvetica', widths: HELVETICA_WIDTHS },
+    bold: { name: 'F2', baseFont: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+    italic: { name: 'F3', baseFont: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS }
+  };
+
+  // Unicode punctuation that WinAnsi has at 0x80-0x9F
+  const WIN_ANSI_EXTRAS = {
+    '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97
+  };
+  const EXTRA_WIDTHS = { 0x85: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x96: 556, 0x97: 1000 };
+
+  function winAnsiCode(char) {
+    const code = char.charCodeAt(0);
+    if ((code >= 32 && code <= 126) || (code >= 0xA0 && code <= 0xFF)) {
+      return code;
+    }
+    return WIN_ANSI_EXTRAS[char] || 63; // "?"
+  }
+
+  function charWidth(code, font) {
+    if (code >= 32 && code <= 126) {
+      return font.widths[code - 32];
+    }
+    if (EXTRA_WIDTHS[code]) {
+      return EXTRA_WIDTHS[code];
+    }
+    // Accented Latin-1 letters: about the width of a capital or lowercase letter
+    return code >= 0xC0 && code < 0xDF ? 722 : 556;
+  }
+
+  function textWidth(text, font, size) {
+    let width = 0;
+    for (const char of text) {
+      width += charWidth(winAnsiCode(char), font);
+    }
+    return width * size / 1000;
+  }
+
+  // A PDF string literal, with non-ASCII bytes as octal escapes so the file stays ASCII
+  function pdfString(text) {
+    let result = '(';
+    for (const char of text) {
+      const code = winAnsiCode(char);
+      if (char === '(' || char === ')' || char === '\\') {
+        result += '\\' + char;
+      } else if (code > 126) {
+        result += '\\' + code.toString(8).padStart(3, '0');
+      } else {
+        result += String.fromCharCode(code);
+      }
+    }
+    return result + ')';
+  }
+
+  // Break a block's runs into lines that fit the width. Each line is a list of {text, style, width}.
+  function wrapRuns(runs, size, maxWidth) {
+    const lines = [];
+    let line = [];
+    let lineWidth = 0;
+
+    runs.forEach(run => {
+      const font = FONTS[run.style] || FONTS.regular;
+      const words = String(run.text).replace(/\s+/g, ' ').match(/[^ ]+ ?| /g) || [];
+
+      words.forEach(word => {
+        if (!word) {
+          return;
+        }
+        const width = textWidth(word, font, size);
+        const trimmedWidth = textWidth(word.trimEnd(), font, size);
+
+        if (line.length > 0 && lineWidth + trimmedWidth > maxWidth) {
+          lines.push(line);
+          line = [];
+          lineWidth = 0;
+          if (word === ' ') {
+            return;
+          }
+        }
+        // Words in the same style share one piece, so each line is a few text operators
+        const last = line[line.length - 1];
+        if (last && last.style === run.style) {
+          last.text += word;
+          last.width += width;
+        } else {
+          line.push({ text: word, style: run.style, width });
+        }
+        lineWidth += width;
+      });
+    });
+
+    if (line.length > 0) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  function colorOperator(color) {
+    const [r, g, b] = color || [0, 0, 0];
+    return `${(r / 255).toFixed(3)} ${(g / 255).toFixed(3)} ${(b / 255).toFixed(3)} rg`;
+  }
+
+  // Lay the blocks out onto pages of text-drawing operators
+  function layout(blocks) {
+    const pages = [];
+    let operators = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    const newPage = () => {
+      pages.push(operators);
+      operators = [];
+      y = PAGE_HEIGHT - MARGIN;
+    };
+
+    blocks.forEach((block, blockIndex) => {
+      const size = block.size || 11;
+      const lineHeight = size * LINE_SPACING;
+      const indent = block.indent || 0;
+      const lines = wrapRuns(block.runs, size, PAGE_WIDTH - 2 * MARGIN - indent);
+
+      if (y < PAGE_HEIGHT - MARGIN) {
+        y -= block.spaceBefore || 0;
+      }
+      // Keep headings with the first line of the block that follows them
+      const next = block.keepWithNext && blocks[blockIndex + 1];
+      const nextHeight = next ? (next.size || 11) * LINE_SPACING + (next.spaceBefore || 0) : 0;
+      if (y - lineHeight - nextHeight < MARGIN) {
+        newPage();
+      }
+
+      lines.forEach(line => {
+        if (y - lineHeight < MARGIN) {
+          newPage();
+        }
+        y -= lineHeight;
+
+        let x = MARGIN + indent;
+        operators.push(colorOperator(block.color));
+        line.forEach((piece, index) => {
+          const text = index === line.length - 1 ? piece.text.trimEnd() : piece.text;
+          const font = FONTS[piece.style] || FONTS.regular;
+          operators.push(`BT /${font.name} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(text)} Tj ET`);
+          x += piece.width;
+        });
+      });
+    });
+
+    pages.push(operators);
+    return pages;
+  }
+
+  /**
+   * Write a PDF document.
+   *
+   * @param {Array<Object>} blocks - paragraphs, in order:
+   *   {runs: [{text, style}], size?, indent?, spaceBefore?, color?: [r, g, b], keepWithNext?}
+   *   where style is "regular", "bold" or "italic"
+   * @param {Object} [options]
+   * @param {string} [options.title] - the document title, shown by PDF readers
+   * @param {Function} [options.footer] - (pageNumber, pageCount) => text for the bottom of each page
+   * @returns {string} the PDF file; every character is ASCII, so it can be used as bytes directly
+   */
+  function createPdf(blocks, { title = '', footer } = {}) {
+    const pages = layout(blocks);
+    const objects = [];
+    const addObject = body => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = {};
+    Object.keys(FONTS).forEach(style => {
+      fontIds[style] = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[style].baseFont} /Encoding /WinAnsiEncoding >>`);
+    });
+    const fontResources = Object.keys(FONTS).map(style => `/${FONTS[style].name} ${fontIds[style]} 0 R`).join(' ');
+
+    const pageIds = pages.map((operators, index) => {
+      const content = [...operators];
+      if (footer) {
+        const text = footer(index + 1, pages.length);
+        const x = (PAGE_WIDTH - textWidth(text, FONTS.regular, FOOTER_SIZE)) / 2;
+        content.push(colorOperator([120, 120, 120]));
+        content.push(`BT /${FONTS.regular.name} ${FOOTER_SIZE} Tf ${x.toFixed(2)} ${MARGIN / 2} Td ${pdfString(text)} Tj ET`);
+      }
+      const stream = content.join('\n');
+      const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+    const infoId = addObject(`<< /Title ${pdfString(title)} /Producer (Bible Reflection) >>`);
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return pdf;
+  }
+
+  return {
+    createPdf,
+    textWidth: (text, style = 'regular', size = 11) => textWidth(text, FONTS[style] || FONTS.regular, size)
+  };
+});
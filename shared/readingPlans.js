@@ -0,0 +1,222 @@
+/**
+ * Reading plans saved in the browser: the plans the reader has generated
+ * (see /api/v1/plans), which days they have read, and export as an
+ * iCalendar file with one all-day event per reading.
+ *
+ * Loaded by the browser as window.ReadingPlans. Plans are kept in
+ * localStorage; toIcs and nextDay are plain functions.
+ *
+ * A saved plan is the API's ReadingPlan with:
+ * {
+ *   id: string,
+ *   createdAt: string,        // ISO timestamp
+ *   startDate: string,        // YYYY-MM-DD, the local date of day 1
+ *   completedDays: number[]   // day numbers marked as read
+ * }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ReadingPlans = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const STORAGE_KEY = 'readingPlans';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // RFC 5545 content lines are folded at 75 octets
+  const MAX_LINE_OCTETS = 75;
+
+  function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  }
+
+  function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  function readAll() {
+    try {
+      const plans = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(plans) ? plans : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function writeAll(plans) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(plans));
+  }
+
+  /**
+   * All saved plans, newest first.
+   *
+   * @returns {Object[]}
+   */
+  function listPlans() {
+    return readAll().sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+  }
+
+  function getPlan(id) {
+    return readAll().find(plan => plan.id === id) || null;
+  }
+
+  /**
+   * Save a plan from the API, starting today.
+   *
+   * @param {Object} plan - a ReadingPlan
+   * @returns {Object} the saved plan
+   */
+  function savePlan(plan) {
+    const saved = {
+      ...plan,
+      id: createId(),
+      createdAt: new Date().toISOString(),
+      startDate: localDate(new Date()),
+      completedDays: []
+    };
+    writeAll([...readAll(), saved]);
+    return saved;
+  }
+
+  function deletePlan(id) {
+    writeAll(readAll().filter(plan => plan.id !== id));
+  }
+
+  /**
+   * Mark a day as read or unread.
+   *
+   * @returns {Object|null} the updated plan, or null if it no longer exists
+   */
+  function setDayRead(id, day, read) {
+    const plans = readAll();
+    const plan = plans.find(p => p.id === id);
+    if (!plan) {
+      return null;
+    }
+
+    const completed = new Set(plan.completedDays || []);
+    if (read) {
+      completed.add(day);
+    } else {
+      completed.delete(day);
+    }
+    plan.completedDays = [...completed].sort((a, b) => a - b);
+    writeAll(plans);
+    return plan;
+  }
+
+  // The first day not yet read, or the last day once all are
+  function nextDay(plan) {
+    const completed = new Set(plan.completedDays || []);
+    const next = plan.days.find(day => !completed.has(day.day));
+    return (next || plan.days[plan.days.length - 1]).day;
+  }
+
+  // YYYY-MM-DD plus a number of days, as an iCalendar DATE (YYYYMMDD)
+  function icsDate(startDate, offsetDays) {
+    const date = new Date(Date.parse(`${startDate}T00:00:00Z`) + offsetDays * DAY_MS);
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  function escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function utf8Length(char) {
+    const code = char.codePointAt(0);
+    return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+  }
+
+  // Fold a content line, never splitting a character; continuation lines start with a space
+  function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const length = utf8Length(char);
+      if (octets + length > MAX_LINE_OCTETS) {
+        parts.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+  }
+
+  // Strip the reflection markdown subset down to plain text for a calendar description
+  function plainText(markdown) {
+    return String(markdown || '')
+      .replace(/^#+\s*/gm, '')
+      .replace(/\*\*|__|\*|_/g, '');
+  }
+
+  /**
+   * The plan as an iCalendar file: an all-day event per day from its start date.
+   *
+   * @param {Object} plan - a saved plan
+   * @returns {string}
+   */
+  function toIcs(plan) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Bible Reflection//Reading Plan//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(plan.title)}`
+    ];
+
+    plan.days.forEach(day => {
+      const description = [
+        day.title,
+        plainText(day.reflection),
+        day.verses.map(verse => `${verse.reference} ${verse.text}`).join('\n'),
+        `(${plan.translation})`
+      ].filter(Boolean).join('\n\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${plan.id}-day-${day.day}@bible-reflection`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(plan.startDate, day.day - 1)}`,
+        `DTEND;VALUE=DATE:${icsDate(plan.startDate, day.day)}`,
+        `SUMMARY:${escapeText(`Day ${day.day}: ${day.reference}`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  // e.g. "forgiveness-7-day-plan.ics"
+  function icsFileName(plan) {
+    const slug = String(plan.topic || 'reading')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 50) || 'reading';
+    return `${slug}-${plan.days.length}-day-plan.ics`;
+  }
+
+  return {
+    deletePlan,
+    getPlan,
+    icsFileName,
+    listPlans,
+    nextDay,
+    savePlan,
+    setDayRead,
+    toIcs
+  };
+});
@@ -0,0 +1,223 @@
+/**
+ * Exports of a reflection for bulletins and handouts: Markdown text and a
+ * PDF, both generated in the browser.
+ *
+ * Loaded by the browser as window.ReflectionExport (and requireable in Node).
+ * Both formats lay out the same document:
+ * {
+ *   subject: string,          // what was searched for, e.g. 'Scriptures about "hope"' or "Psalm 23"
+ *   translation: string,      // e.g. "KJV"
+ *   date: string|Date,        // when the reflection was written
+ *   verses: Array<{reference, text}>,
+ *   reflection: Object        // a structured reflection (see reflectionFormat.js)
+ * }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./pdfWriter'));
+  } else {
+    root.ReflectionExport = factory(root.PdfWriter);
+  }
+})(typeof self !== 'undefined' ? self : this, function (PdfWriter) {
+  // The same markdown subset safeRender.js renders
+  const HEADING = /^#{1,6}\s+(.*?)\s*#*$/;
+  const QUOTE = /^>\s?(.*)$/;
+  const BULLET = /^[-*+]\s+(.*)$/;
+  const NUMBERED = /^(\d+)[.)]\s+(.*)$/;
+  const EMPHASIS = /\*\*(?=\S)(.*?\S)\*\*|\b__(?=\S)(.*?\S)__(?!\w)|\*(?=\S)([^*]*?\S)\*|\b_(?=\S)([^_]*?\S)_(?!\w)/g;
+
+  const TEXT_COLOR = [51, 51, 51];
+  const ACCENT_COLOR = [69, 97, 124];
+  const MUTED_COLOR = [102, 102, 102];
+
+  function formatDate(date) {
+    return new Date(date || Date.now()).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  function documentTitle(doc) {
+    return (doc.reflection && doc.reflection.title) || doc.subject;
+  }
+
+  // "Psalm 23 · KJV · October 19, 2026"
+  function subtitle(doc) {
+    const parts = [doc.reflection && doc.reflection.title ? doc.subject : null, doc.translation, formatDate(doc.date)];
+    return parts.filter(Boolean).join(' · ');
+  }
+
+  /**
+   * A file name for an export, e.g. "psalm-23-reflection-2026-10-19.pdf".
+   *
+   * @param {Object} doc
+   * @param {string} extension - "md" or "pdf"
+   */
+  function exportFileName(doc, extension) {
+    const slug = String(doc.subject || 'reflection')
+      .toLowerCase()
+      .replace(/^scriptures about /, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 50) || 'reflection';
+    const day = new Date(doc.date || Date.now()).toISOString().slice(0, 10);
+    return `${slug}-reflection-${day}.${extension}`;
+  }
+
+  // The reflection's sections in order, as [heading, markdown] pairs, laid out for its
+  // mode (see MODES in reflectionFormat.js); sections the reflection doesn't have are left out
+  function reflectionSections(reflection) {
+    const mode = reflection.mode || 'devotional';
+    const sections = [];
+    const add = (heading, markdown) => {
+      if (markdown) {
+        sections.push([heading, markdown]);
+      }
+    };
+
+    add(mode === 'sermon' || mode === 'small-group' ? 'Introduction' : 'Reflection', (reflection.paragraphs || []).join('\n\n'));
+    add('Icebreaker', reflection.icebreaker);
+    if (reflection.questions && reflection.questions.length > 0) {
+      add(mode === 'children' ? 'Talk About It' : 'Discussion Questions', reflection.questions.map((question, index) => `${index + 1}. ${question}`).join('\n'));
+    }
+    (reflection.points || []).forEach((point, index) => {
+      const illustration = point.illustration ? `\n\n> **Illustration:** ${point.illustration.replace(/\s*\n\s*/g, ' ')}` : '';
+      add(`${index + 1}. ${point.title}`, point.text + illustration);
+    });
+    add(mode === 'sermon' ? 'Conclusion' : 'Living It Out', reflection.application);
+    add('Prayer', reflection.prayer);
+    return sections;
+  }
+
+  // Move the reflection's own headings below the document's "##" sections
+  function nestHeadings(markdown) {
+    return markdown.replace(/^(#{1,5})(?=\s)/gm, '##$1');
+  }
+
+  /**
+   * The document as Markdown. The reflection's own markdown is kept as it is.
+   *
+   * @param {Object} doc
+   * @returns {string}
+   */
+  function toMarkdown(doc) {
+    const reflection = doc.reflection || {};
+    const parts = [`# ${documentTitle(doc)}`, `*${subtitle(doc)}*`, '## Scripture'];
+
+    doc.verses.forEach(verse => {
+      parts.push(`> **${verse.reference}** ${verse.text}`);
+    });
+
+    reflectionSections(reflection).forEach(([heading, markdown]) => {
+      parts.push(`## ${heading}`, nestHeadings(markdown));
+    });
+    if (reflection.references && reflection.references.length > 0) {
+      parts.push('---', `Scripture references: ${reflection.references.join('; ')}`);
+    }
+
+    return parts.join('\n\n') + '\n';
+  }
+
+  // Split a line of markdown into PDF text runs by its emphasis
+  function inlineRuns(text, baseStyle = 'regular') {
+    const runs = [];
+    let position = 0;
+
+    text.replace(EMPHASIS, (match, bold, underscoreBold, italic, underscoreItalic, index) => {
+      if (index > position) {
+        runs.push({ text: text.slice(position, index), style: baseStyle });
+      }
+      runs.push(bold || underscoreBold
+        ? { text: bold || underscoreBold, style: 'bold' }
+        : { text: italic || underscoreItalic, style: 'italic' });
+      position = index + match.length;
+      return match;
+    });
+
+    if (position < text.length) {
+      runs.push({ text: text.slice(position), style: baseStyle });
+    }
+    return runs;
+  }
+
+  // PDF blocks for a piece of the reflection's markdown
+  function markdownBlocks(markdown) {
+    const blocks = [];
+
+    String(markdown || '').split(/\n\s*\n/).forEach(paragraph => {
+      const lines = paragraph.split('\n').map(line => line.trim()).filter(Boolean);
+      let text = [];
+
+      const flush = () => {
+        if (text.length > 0) {
+          blocks.push({ runs: inlineRuns(text.join(' ')), spaceBefore: 8, color: TEXT_COLOR });
+          text = [];
+        }
+      };
+
+      lines.forEach(line => {
+        let match;
+        if ((match = line.match(HEADING))) {
+          flush();
+          blocks.push({ runs: inlineRuns(match[1], 'bold'), size: 12, spaceBefore: 10, color: TEXT_COLOR, keepWithNext: true });
+        } else if ((match = line.match(QUOTE))) {
+          flush();
+          blocks.push({ runs: inlineRuns(match[1], 'italic'), indent: 18, spaceBefore: 4, color: MUTED_COLOR });
+        } else if ((match = line.match(BULLET))) {
+          flush();
+          blocks.push({ runs: [{ text: '• ', style: 'regular' }, ...inlineRuns(match[1])], indent: 18, spaceBefore: 4, color: TEXT_COLOR });
+        } else if ((match = line.match(NUMBERED))) {
+          flush();
+          blocks.push({ runs: [{ text: `${match[1]}. `, style: 'regular' }, ...inlineRuns(match[2])], indent: 18, spaceBefore: 4, color: TEXT_COLOR });
+        } else {
+          text.push(line);
+        }
+      });
+      flush();
+    });
+
+    return blocks;
+  }
+
+  function sectionHeading(text) {
+    return { runs: [{ text, style: 'bold' }], size: 14, spaceBefore: 18, color: ACCENT_COLOR, keepWithNext: true };
+  }
+
+  /**
+   * The document as a PDF file: title, verses with their references, the
+   * reflection's sections for its mode and the prayer, with the translation and date under the
+   * title and in the footer.
+   *
+   * @param {Object} doc
+   * @returns {string} the PDF file (ASCII, so it can be wrapped in a Blob as it is)
+   */
+  function toPdf(doc) {
+    const reflection = doc.reflection || {};
+    const blocks = [
+      { runs: [{ text: documentTitle(doc), style: 'bold' }], size: 20, color: ACCENT_COLOR },
+      { runs: [{ text: subtitle(doc), style: 'italic' }], size: 10, spaceBefore: 4, color: MUTED_COLOR },
+      sectionHeading('Scripture')
+    ];
+
+    doc.verses.forEach(verse => {
+      blocks.push({ runs: [{ text: verse.reference, style: 'bold' }], size: 10, spaceBefore: 8, color: ACCENT_COLOR, keepWithNext: true });
+      blocks.push({ runs: [{ text: verse.text, style: 'regular' }], indent: 12, color: TEXT_COLOR });
+    });
+
+    reflectionSections(reflection).forEach(([heading, markdown]) => {
+      blocks.push(sectionHeading(heading), ...markdownBlocks(markdown));
+    });
+    if (reflection.references && reflection.references.length > 0) {
+      blocks.push({ runs: [{ text: `Scripture references: ${reflection.references.join('; ')}`, style: 'italic' }], size: 9, spaceBefore: 18, color: MUTED_COLOR });
+    }
+
+    const footerText = `${doc.translation} · ${formatDate(doc.date)}`;
+    return PdfWriter.createPdf(blocks, {
+      title: documentTitle(doc),
+      footer: (page, pages) => `${footerText} · Page ${page} of ${pages}`
+    });
+  }
+
+  return {
+    toMarkdown,
+    toPdf,
+    exportFileName
+  };
+});
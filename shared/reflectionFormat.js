@@ -0,0 +1,233 @@
+/**
+ * The text format reflections are written in, and its parser.
+ *
+ * Shared by the Netlify functions (via require) and the browser (as
+ * window.ReflectionFormat), so a streamed reflection can be rendered section
+ * by section while it's still being written, and the finished one parses to
+ * exactly what the server returns.
+ *
+ * The model writes light markdown:
+ *
+ *   # Title
+ *
+ *   Body paragraphs, separated by blank lines. They may use a little
+ *   markdown (emphasis, quotes, lists; see safeRender.js).
+ *
+ *   ## Application
+ *   How to live it out.
+ *
+ *   ## Prayer
+ *   A prayer for the reader.
+ *
+ *   ## References
+ *   John 3:16; Romans 8:28
+ *
+ * which parses to a structured reflection:
+ * {
+ *   mode: string,          // one of MODES; "devotional" for reflections saved before there were modes
+ *   title: string,
+ *   paragraphs: string[],  // the body
+ *   application: string,
+ *   prayer: string,
+ *   references: string[]   // normalized Scripture references the reflection cites
+ * }
+ *
+ * The other modes add sections of their own, and their fields:
+ *
+ *   ## Icebreaker          icebreaker: string (small-group)
+ *   ## Questions           questions: string[], one per list item (children, small-group)
+ *   ## Point: Its title    points: Array<{title, text, illustration}> (sermon); a
+ *   ### Illustration       "### Illustration" inside a point is that point's illustration
+ *
+ * A prayer-only reflection has a title, a prayer and references, and no body.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scriptureReference'));
+  } else {
+    root.ReflectionFormat = factory(root.ScriptureReference);
+  }
+})(typeof self !== 'undefined' ? self : this, function (ScriptureReference) {
+  // Section headings, and the other names models tend to give them,
+  // including translated ones in Spanish and Portuguese reflections
+  const SECTIONS = {
+    application: ['application', 'practical application', 'living it out', 'for today', 'aplicación', 'aplicação'],
+    prayer: ['prayer', 'closing prayer', 'a prayer', 'oración', 'oração'],
+    references: ['references', 'scripture references', 'scriptures', 'verses', 'referencias', 'referências'],
+    icebreaker: ['icebreaker', 'ice breaker', 'opening question', 'rompehielos', 'quebra-gelo'],
+    questions: ['questions', 'discussion questions', 'talk about it', 'preguntas', 'perguntas'],
+    illustration: ['illustration', 'ilustración', 'ilustração']
+  };
+
+  // The audiences and formats a reflection can be written for, and the
+  // fields each adds to the structured reflection
+  const MODES = {
+    devotional: [],
+    children: ['questions'],
+    'small-group': ['icebreaker', 'questions'],
+    sermon: ['points'],
+    prayer: []
+  };
+  const DEFAULT_MODE = 'devotional';
+
+  // A sermon point's heading: "Point: Grace", "Point 2 - Grace", "Punto 1: Gracia"
+  const POINT = /^(?:point|punto|ponto)\s*\d*\s*[:.\-\u2013]\s*(.+)$/i;
+  const LIST_ITEM = /^(?:\d+[.)]|[-*+])\s+(.*)$/;
+
+  // "## Prayer", "**Prayer**" or "Prayer:" on a line of its own
+  const HEADING = /^\s*(?:#{1,6}\s*(.+?)\s*#*|\*\*(.+?):?\*\*:?|([A-Za-z\u00c0-\u00ff ]+):)\s*$/;
+
+  function sectionFor(heading) {
+    const name = heading.toLowerCase().replace(/[*:]/g, '').trim();
+    return Object.keys(SECTIONS).find(section => SECTIONS[section].includes(name)) || null;
+  }
+
+  // Paragraphs keep their line breaks, so markdown lists and quotes survive
+  function splitParagraphs(text) {
+    return text
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.split('\n').map(line => line.trim()).filter(Boolean).join('\n'))
+      .filter(Boolean);
+  }
+
+  // One string per numbered or bulleted item; unmarked lines continue the item before
+  function listItems(text) {
+    const items = [];
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const item = line.match(LIST_ITEM);
+      if (item || items.length === 0) {
+        items.push(item ? item[1] : line);
+      } else {
+        items[items.length - 1] += ` ${line}`;
+      }
+    });
+    return items;
+  }
+
+  // Every distinct reference in the text, normalized ("jhn 3:16" becomes "John 3:16").
+  // Whole chapters ("Psalm 23") and short book names ("Ro 8:28") only count in a list of
+  // references, where they can't be a false match.
+  function citedReferences(text, inList = false) {
+    const references = ScriptureReference.findReferences(text || '', { allowChapterOnly: inList, allowShortBookNames: inList })
+      .map(found => ScriptureReference.format(found.ranges));
+    return references.filter((reference, index) => references.indexOf(reference) === index);
+  }
+
+  /**
+   * Parse reflection text into a structured reflection. Incomplete text (while
+   * streaming) parses to whatever sections have arrived so far.
+   *
+   * @param {string} text
+   * @param {string} [mode] - the mode it was written in, a key of MODES
+   * @returns {{mode: string, title: string, paragraphs: string[], application: string, prayer: string, references: string[]}}
+   *   plus the mode's own fields
+   */
+  function parse(text, mode = DEFAULT_MODE) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const bodies = { body: [], application: [], prayer: [], references: [], icebreaker: [], questions: [] };
+    const points = [];
+    let title = '';
+    let current = 'body';
+
+    lines.forEach(line => {
+      const heading = line.match(HEADING);
+      if (heading) {
+        const name = heading[1] || heading[2] || heading[3];
+        const section = sectionFor(name);
+        const point = name.replace(/\*\*/g, '').trim().match(POINT);
+
+        if (point) {
+          points.push({ title: point[1].trim(), text: [], illustration: [] });
+          current = 'point';
+          return;
+        }
+        if (section === 'illustration') {
+          // Only a point has an illustration; anywhere else the heading is dropped
+          if (current === 'point' || current === 'illustration') {
+            current = 'illustration';
+          }
+          return;
+        }
+        if (section) {
+          current = section;
+          return;
+        }
+        // The first heading that isn't a known section is the title
+        if (!title && current === 'body' && bodies.body.join('').trim() === '') {
+          title = name.replace(/\*\*/g, '').trim();
+          return;
+        }
+      }
+
+      if (current === 'point') {
+        points[points.length - 1].text.push(line);
+      } else if (current === 'illustration') {
+        points[points.length - 1].illustration.push(line);
+      } else {
+        bodies[current].push(line);
+      }
+    });
+
+    const references = citedReferences(bodies.references.join('\n'), true);
+    const fields = {
+      icebreaker: () => splitParagraphs(bodies.icebreaker.join('\n')).join('\n\n'),
+      questions: () => listItems(bodies.questions.join('\n')),
+      points: () => points.map(point => ({
+        title: point.title,
+        text: splitParagraphs(point.text.join('\n')).join('\n\n'),
+        illustration: splitParagraphs(point.illustration.join('\n')).join('\n\n')
+      }))
+    };
+    const reflection = {
+      mode: MODES[mode] ? mode : DEFAULT_MODE,
+      title,
+      paragraphs: splitParagraphs(bodies.body.join('\n')),
+      application: splitParagraphs(bodies.application.join('\n')).join('\n\n'),
+      prayer: splitParagraphs(bodies.prayer.join('\n')).join('\n\n'),
+      references: references.length > 0 ? references : citedReferences(bodies.body.join('\n'))
+    };
+    MODES[reflection.mode].forEach(field => {
+      reflection[field] = fields[field]();
+    });
+    return reflection;
+  }
+
+  /**
+   * Write a structured reflection in the text format, so that
+   * parse(format(reflection)) gives the reflection back.
+   */
+  function format(reflection) {
+    const parts = [`# ${reflection.title}`, ...reflection.paragraphs];
+    if (reflection.icebreaker) {
+      parts.push('## Icebreaker', reflection.icebreaker);
+    }
+    if (reflection.questions && reflection.questions.length > 0) {
+      parts.push('## Questions', reflection.questions.map((question, index) => `${index + 1}. ${question}`).join('\n'));
+    }
+    (reflection.points || []).forEach(point => {
+      parts.push(`## Point: ${point.title}`, point.text);
+      if (point.illustration) {
+        parts.push('### Illustration', point.illustration);
+      }
+    });
+    if (reflection.application) {
+      parts.push('## Application', reflection.application);
+    }
+    if (reflection.prayer) {
+      parts.push('## Prayer', reflection.prayer);
+    }
+    if (reflection.references && reflection.references.length > 0) {
+      parts.push('## References', reflection.references.join('; '));
+    }
+    return parts.join('\n\n');
+  }
+
+  return {
+    SECTIONS,
+    MODES,
+    DEFAULT_MODE,
+    parse,
+    format,
+    citedReferences
+  };
+});
@@ -0,0 +1,233 @@
+/**
+ * HTML rendering for untrusted text: verses, queries, error messages and
+ * model-written reflections.
+ *
+ * Loaded by the browser as window.SafeRender (and requireable in Node).
+ * Everything passed in is treated as plain text and escaped; the only markup
+ * in the output is what this module writes itself. Reflections are rendered
+ * from a small markdown subset:
+ *
+ *   # Heading            (levels shifted to fit under the reflection title)
+ *   **bold**, __bold__, *italic*, _italic_
+ *   > blockquote
+ *   - bullet, * bullet, + bullet
+ *   1. numbered item
+ *
+ * Anything else, including raw HTML and links, comes out as literal text.
+ * Verse references such as "John 3:16" become
+ * <button class="scripture-link" data-reference="John 3:16"> elements for
+ * the page to handle.
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./scriptureReference'));
+  } else {
+    root.SafeRender = factory(root.ScriptureReference);
+  }
+})(typeof self !== 'undefined' ? self : this, function (ScriptureReference) {
+  const HEADING = /^(#{1,6})\s+(.*?)\s*#*$/;
+  const QUOTE = /^>\s?(.*)$/;
+  const BULLET = /^[-*+]\s+(.*)$/;
+  const NUMBERED = /^\d+[.)]\s+(.*)$/;
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function referenceButton(text, reference) {
+    return `<button type="button" class="scripture-link" data-reference="${escapeHtml(reference)}" aria-expanded="false">${escapeHtml(text)}</button>`;
+  }
+
+  // Escape the text, turning each verse reference in it into a button
+  function linkReferences(text) {
+    let html = '';
+    let position = 0;
+
+    ScriptureReference.findReferences(text).forEach(found => {
+      html += escapeHtml(text.slice(position, found.index));
+      html += referenceButton(found.text, ScriptureReference.format(found.ranges));
+      position = found.index + found.text.length;
+    });
+
+    return html + escapeHtml(text.slice(position));
+  }
+
+  /**
+   * Render one line of text: escaped, with emphasis and clickable references.
+   * Emphasis is applied after escaping, so it can only ever wrap escaped text
+   * (reference attributes never contain * or _).
+   */
+  function renderInline(text) {
+    return linkReferences(String(text || ''))
+      .replace(/\*\*(?=\S)([^]*?\S)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^\w])__(?=\S)([^]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+      .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+  }
+
+  // Group the lines of a block into paragraphs, headings, quotes and lists
+  function renderLines(lines, headingLevel) {
+    let html = '';
+    let index = 0;
+
+    // Consume consecutive lines matching `pattern`, returning their captured text
+    const collect = pattern => {
+      const items = [];
+      while (index < lines.length && pattern.test(lines[index])) {
+        items.push(lines[index].match(pattern)[1]);
+        index++;
+      }
+      return items;
+    };
+
+    while (index < lines.length) {
+      const line = lines[index];
+      const heading = line.match(HEADING);
+
+      if (heading) {
+        const level = Math.min(6, headingLevel + heading[1].length - 1);
+        html += `<h${level}>${renderInline(heading[2])}</h${level}>`;
+        index++;
+      } else if (QUOTE.test(line)) {
+        html += `<blockquote>${renderMarkdown(collect(QUOTE).join('\n'), { headingLevel })}</blockquote>`;
+      } else if (BULLET.test(line)) {
+        html += `<ul>${collect(BULLET).map(item => `<li>${renderInline(item)}</li>`).join('')}</ul>`;
+      } else if (NUMBERED.test(line)) {
+        html += `<ol>${collect(NUMBERED).map(item => `<li>${renderInline(item)}</li>`).join('')}</ol>`;
+      } else {
+        const text = [];
+        while (index < lines.length && ![HEADING, QUOTE, BULLET, NUMBERED].some(pattern => pattern.test(lines[index]))) {
+          text.push(lines[index]);
+          index++;
+        }
+        html += `<p>${renderInline(text.join(' '))}</p>`;
+      }
+    }
+
+    return html;
+  }
+
+  /**
+   * Render markdown text as HTML. Blocks are separated by blank lines.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {number} [options.headingLevel=4] - the HTML level a "#" heading becomes
+   * @returns {string}
+   */
+  function renderMarkdown(text, { headingLevel = 4 } = {}) {
+    return String(text || '')
+      .replace(/\r\n?/g, '\n')
+      .split(/\n\s*\n/)
+      .map(block => block.split('\n').map(line => line.trim()).filter(Boolean))
+      .filter(lines => lines.length > 0)
+      .map(lines => renderLines(lines, headingLevel))
+      .join('');
+  }
+
+  // The section labels of a rendered reflection, for pages in English
+  const REFLECTION_LABELS = {
+    heading: 'Reflection & Prayer',
+    application: 'Living It Out',
+    prayer: 'Prayer',
+    references: 'Scripture:',
+    icebreaker: 'Icebreaker',
+    questions: 'Discussion Questions',
+    childrenQuestions: 'Talk About It',
+    illustration: 'Illustration',
+    conclusion: 'Conclusion'
+  };
+
+  function renderSection(name, label, markdown) {
+    return markdown
+      ? `<section class="reflection-${name}"><h4>${escapeHtml(label)}</h4>${renderMarkdown(markdown, { headingLevel: 5 })}</section>`
+      : '';
+  }
+
+  function renderQuestions(label, questions = []) {
+    return questions.length > 0
+      ? `<section class="reflection-questions"><h4>${escapeHtml(label)}</h4><ol>${questions.map(question => `<li>${renderInline(question)}</li>`).join('')}</ol></section>`
+      : '';
+  }
+
+  // A sermon's points, numbered, each with its illustration set apart
+  function renderPoints(label, points = []) {
+    if (points.length === 0) {
+      return '';
+    }
+    return `<ol class="sermon-points">${points.map(point => {
+      const illustration = point.illustration
+        ? `<aside class="sermon-illustration"><strong>${escapeHtml(label)}</strong>${renderMarkdown(point.illustration, { headingLevel: 5 })}</aside>`
+        : '';
+      return `<li><h4>${renderInline(point.title)}</h4>${renderMarkdown(point.text, { headingLevel: 5 })}${illustration}</li>`;
+    }).join('')}</ol>`;
+  }
+
+  // The body of a reflection in each mode (see MODES in reflectionFormat.js), between its title and references
+  const REFLECTION_RENDERERS = {
+    devotional: (reflection, labels) => renderMarkdown(reflection.paragraphs.join('\n\n'))
+      + renderSection('application', labels.application, reflection.application)
+      + renderSection('prayer', labels.prayer, reflection.prayer),
+
+    children: (reflection, labels) => renderMarkdown(reflection.paragraphs.join('\n\n'))
+      + renderQuestions(labels.childrenQuestions, reflection.questions)
+      + renderSection('application', labels.application, reflection.application)
+      + renderSection('prayer', labels.prayer, reflection.prayer),
+
+    'small-group': (reflection, labels) => renderMarkdown(reflection.paragraphs.join('\n\n'))
+      + renderSection('icebreaker', labels.icebreaker, reflection.icebreaker)
+      + renderQuestions(labels.questions, reflection.questions)
+      + renderSection('application', labels.application, reflection.application)
+      + renderSection('prayer', labels.prayer, reflection.prayer),
+
+    sermon: (reflection, labels) => renderMarkdown(reflection.paragraphs.join('\n\n'))
+      + renderPoints(labels.illustration, reflection.points)
+      + renderSection('application', labels.conclusion, reflection.application)
+      + renderSection('prayer', labels.prayer, reflection.prayer),
+
+    // The prayer is the whole reflection, so it needs no heading of its own
+    prayer: reflection => (reflection.prayer
+      ? `<section class="reflection-prayer">${renderMarkdown(reflection.prayer, { headingLevel: 5 })}</section>`
+      : '')
+  };
+
+  /**
+   * Render a structured reflection ({mode, title, paragraphs, application,
+   * prayer, references} and its mode's fields) as the contents of the
+   * reflection panel, laid out for its mode. A partial reflection renders the
+   * sections it has.
+   *
+   * @param {Object} reflection
+   * @param {boolean} [streaming=false] - show the reflection as still being written
+   * @param {Object} [labels] - section labels in the page's language, see REFLECTION_LABELS
+   * @returns {string}
+   */
+  function renderReflection(reflection, streaming = false, labels = REFLECTION_LABELS) {
+    const mode = REFLECTION_RENDERERS[reflection.mode] ? reflection.mode : 'devotional';
+    let html = `<h2>${escapeHtml(labels.heading)}</h2>`;
+    html += `<article class="reflection-content mode-${mode}${streaming ? ' streaming' : ''}">`;
+
+    if (reflection.title) {
+      html += `<h3 class="reflection-title">${renderInline(reflection.title)}</h3>`;
+    }
+    html += REFLECTION_RENDERERS[mode](reflection, labels);
+    if (reflection.references.length > 0) {
+      const references = reflection.references.map(reference => referenceButton(reference, reference));
+      html += `<p class="reflection-references">${escapeHtml(labels.references)} ${references.join(' &middot; ')}</p>`;
+    }
+
+    return html + '</article>';
+  }
+
+  return {
+    escapeHtml,
+    renderInline,
+    renderMarkdown,
+    renderReflection
+  };
+});
@@ -0,0 +1,584 @@
+/**
+ * Scripture reference parsing and formatting.
+ *
+ * Shared by the Netlify functions (via require) and the browser (as
+ * window.ScriptureReference), so references are normalized the same way
+ * everywhere.
+ *
+ * A parsed reference is an array of ranges:
+ * {
+ *   book: string,            // canonical book name, e.g. "1 Corinthians"
+ *   chapter: number,         // first chapter
+ *   verseStart: number|null, // first verse, or null for a whole chapter
+ *   chapterEnd: number,      // last chapter (same as chapter unless cross-chapter)
+ *   verseEnd: number|null    // last verse, or null for a whole chapter
+ * }
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ScriptureReference = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Canonical book names, chapter counts and accepted abbreviations.
+  // Aliases are written in normalized form: lowercase, no periods, and a
+  // leading "1 "/"2 "/"3 " for numbered books (I, First and 1st are mapped to 1).
+  const BOOKS = [
+    { name: 'Genesis', chapters: 50, aliases: ['gen', 'ge', 'gn'] },
+    { name: 'Exodus', chapters: 40, aliases: ['exod', 'exo', 'ex'] },
+    { name: 'Leviticus', chapters: 27, aliases: ['lev', 'le', 'lv'] },
+    { name: 'Numbers', chapters: 36, aliases: ['num', 'nu', 'nm', 'nb'] },
+    { name: 'Deuteronomy', chapters: 34, aliases: ['deut', 'deu', 'dt'] },
+    { name: 'Joshua', chapters: 24, aliases: ['josh', 'jos', 'jsh'] },
+    { name: 'Judges', chapters: 21, aliases: ['judg', 'jdg', 'jg', 'jdgs'] },
+    { name: 'Ruth', chapters: 4, aliases: ['rth', 'ru'] },
+    { name: '1 Samuel', chapters: 31, aliases: ['1 sam', '1 sa', '1 sm'] },
+    { name: '2 Samuel', chapters: 24, aliases: ['2 sam', '2 sa', '2 sm'] },
+    { name: '1 Kings', chapters: 22, aliases: ['1 kgs', '1 ki', '1 kin'] },
+    { name: '2 Kings', chapters: 25, aliases: ['2 kgs', '2 ki', '2 kin'] },
+    { name: '1 Chronicles', chapters: 29, aliases: ['1 chron', '1 chr', '1 ch'] },
+    { name: '2 Chronicles', chapters: 36, aliases: ['2 chron', '2 chr', '2 ch'] },
+    { name: 'Ezra', chapters: 10, aliases: ['ezr'] },
+    { name: 'Nehemiah', chapters: 13, aliases: ['neh', 'ne'] },
+    { name: 'Esther', chapters: 10, aliases: ['esth', 'est', 'es'] },
+    { name: 'Job', chapters: 42, aliases: ['jb'] },
+    { name: 'Psalms', chapters: 150, aliases: ['psalm', 'pss', 'psa', 'psm', 'ps'] },
+    { name: 'Proverbs', chapters: 31, aliases: ['prov', 'pro', 'prv', 'pr'] },
+    { name: 'Ecclesiastes', chapters: 12, aliases: ['eccles', 'eccl', 'ecc', 'ec', 'qoh'] },
+    { name: 'Song of Solomon', chapters: 8, aliases: ['song of songs', "solomon's song", 'song', 'sos', 'canticles', 'cant'] },
+    { name: 'Isaiah', chapters: 66, aliases: ['isa'] },
+    { name: 'Jeremiah', chapters: 52, aliases: ['jer', 'je', 'jr'] },
+    { name: 'Lamentations', chapters: 5, aliases: ['lam', 'la'] },
+    { name: 'Ezekiel', chapters: 48, aliases: ['ezek', 'eze', 'ezk'] },
+    { name: 'Daniel', chapters: 12, aliases: ['dan', 'da', 'dn'] },
+    { name: 'Hosea', chapters: 14, aliases: ['hos', 'ho'] },
+    { name: 'Joel', chapters: 3, aliases: ['jl'] },
+    { name: 'Amos', chapters: 9, aliases: [] },
+    { name: 'Obadiah', chapters: 1, aliases: ['obad', 'ob'] },
+    { name: 'Jonah', chapters: 4, aliases: ['jnh', 'jon'] },
+    { name: 'Micah', chapters: 7, aliases: ['mic', 'mc'] },
+    { name: 'Nahum', chapters: 3, aliases: ['nah', 'na'] },
+    { name: 'Habakkuk', chapters: 3, aliases: ['hab', 'hb'] },
+    { name: 'Zephaniah', chapters: 3, aliases: ['zeph', 'zep', 'zp'] },
+    { name: 'Haggai', chapters: 2, aliases: ['hag', 'hg'] },
+    { name: 'Zechariah', chapters: 14, aliases: ['zech', 'zec', 'zc'] },
+    { name: 'Malachi', chapters: 4, aliases: ['mal', 'ml'] },
+    { name: 'Matthew', chapters: 28, aliases: ['matt', 'mat', 'mt'] },
+    { name: 'Mark', chapters: 16, aliases: ['mrk', 'mar', 'mk'] },
+    { name: 'Luke', chapters: 24, aliases: ['luk', 'lk'] },
+    { name: 'John', chapters: 21, aliases: ['jhn', 'jn'] },
+    { name: 'Acts', chapters: 28, aliases: ['acts of the apostles', 'act'] },
+    { name: 'Romans', chapters: 16, aliases: ['rom', 'ro', 'rm'] },
+    { name: '1 Corinthians', chapters: 16, aliases: ['1 cor', '1 co'] },
+    { name: '2 Corinthians', chapters: 13, aliases: ['2 cor', '2 co'] },
+    { name: 'Galatians', chapters: 6, aliases: ['gal', 'ga'] },
+    { name: 'Ephesians', chapters: 6, aliases: ['eph', 'ephes'] },
+    { name: 'Philippians', chapters: 4, aliases: ['phil', 'php'] },
+    { name: 'Colossians', chapters: 4, aliases: ['col'] },
+    { name: '1 Thessalonians', chapters: 5, aliases: ['1 thess', '1 thes', '1 th'] },
+    { name: '2 Thessalonians', chapters: 3, aliases: ['2 thess', '2 thes', '2 th'] },
+    { name: '1 Timothy', chapters: 6, aliases: ['1 tim', '1 ti'] },
+    { name: '2 Timothy', chapters: 4, aliases: ['2 tim', '2 ti'] },
+    { name: 'Titus', chapters: 3, aliases: ['tit', 'ti'] },
+    { name: 'Philemon', chapters: 1, aliases: ['philem', 'phm'] },
+    { name: 'Hebrews', chapters: 13, aliases: ['heb'] },
+    { name: 'James', chapters: 5, aliases: ['jas', 'jm'] },
+    { name: '1 Peter', chapters: 5, aliases: ['1 pet', '1 pe', '1 pt'] },
+    { name: '2 Peter', chapters: 3, aliases: ['2 pet', '2 pe', '2 pt'] },
+    { name: '1 John', chapters: 5, aliases: ['1 jn', '1 jhn', '1 jo'] },
+    { name: '2 John', chapters: 1, aliases: ['2 jn', '2 jhn', '2 jo'] },
+    { name: '3 John', chapters: 1, aliases: ['3 jn', '3 jhn', '3 jo'] },
+    { name: 'Jude', chapters: 1, aliases: ['jud', 'jd'] },
+    { name: 'Revelation', chapters: 22, aliases: ['revelations', 'revelation of john', 'rev', 'rv'] }
+  ];
+
+  // Book names in the other languages the app is used in, for reading references
+  // written in them ("Juan 3:16", "Salmo 23") and for display. "Psalm" is the
+  // singular used for a single psalm.
+  const BOOK_NAMES = {
+    es: {
+      Genesis: 'Génesis',
+      Exodus: 'Éxodo',
+      Leviticus: 'Levítico',
+      Numbers: 'Números',
+      Deuteronomy: 'Deuteronomio',
+      Joshua: 'Josué',
+      Judges: 'Jueces',
+      Ruth: 'Rut',
+      '1 Samuel': '1 Samuel',
+      '2 Samuel': '2 Samuel',
+      '1 Kings': '1 Reyes',
+      '2 Kings': '2 Reyes',
+      '1 Chronicles': '1 Crónicas',
+      '2 Chronicles': '2 Crónicas',
+      Ezra: 'Esdras',
+      Nehemiah: 'Nehemías',
+      Esther: 'Ester',
+      Job: 'Job',
+      Psalms: 'Salmos',
+      Proverbs: 'Proverbios',
+      Ecclesiastes: 'Eclesiastés',
+      'Song of Solomon': 'Cantares',
+      Isaiah: 'Isaías',
+      Jeremiah: 'Jeremías',
+      Lamentations: 'Lamentaciones',
+      Ezekiel: 'Ezequiel',
+      Daniel: 'Daniel',
+      Hosea: 'Oseas',
+      Joel: 'Joel',
+      Amos: 'Amós',
+      Obadiah: 'Abdías',
+      Jonah: 'Jonás',
+      Micah: 'Miqueas',
+      Nahum: 'Nahúm',
+      Habakkuk: 'Habacuc',
+      Zephaniah: 'Sofonías',
+      Haggai: 'Hageo',
+      Zechariah: 'Zacarías',
+      Malachi: 'Malaquías',
+      Matthew: 'Mateo',
+      Mark: 'Marcos',
+      Luke: 'Lucas',
+      John: 'Juan',
+      Acts: 'Hechos',
+      Romans: 'Romanos',
+      '1 Corinthians': '1 Corintios',
+      '2 Corinthians': '2 Corintios',
+      Galatians: 'Gálatas',
+      Ephesians: 'Efesios',
+      Philippians: 'Filipenses',
+      Colossians: 'Colosenses',
+      '1 Thessalonians': '1 Tesalonicenses',
+      '2 Thessalonians': '2 Tesalonicenses',
+      '1 Timothy': '1 Timoteo',
+      '2 Timothy': '2 Timoteo',
+      Titus: 'Tito',
+      Philemon: 'Filemón',
+      Hebrews: 'Hebreos',
+      James: 'Santiago',
+      '1 Peter': '1 Pedro',
+      '2 Peter': '2 Pedro',
+      '1 John': '1 Juan',
+      '2 John': '2 Juan',
+      '3 John': '3 Juan',
+      Jude: 'Judas',
+      Revelation: 'Apocalipsis',
+      Psalm: 'Salmo'
+    },
+    pt: {
+      Genesis: 'Gênesis',
+      Exodus: 'Êxodo',
+      Leviticus: 'Levítico',
+      Numbers: 'Números',
+      Deuteronomy: 'Deuteronômio',
+      Joshua: 'Josué',
+      Judges: 'Juízes',
+      Ruth: 'Rute',
+      '1 Samuel': '1 Samuel',
+      '2 Samuel': '2 Samuel',
+      '1 Kings': '1 Reis',
+      '2 Kings': '2 Reis',
+      '1 Chronicles': '1 Crônicas',
+      '2 Chronicles': '2 Crônicas',
+      Ezra: 'Esdras',
+      Nehemiah: 'Neemias',
+      Esther: 'Ester',
+      Job: 'Jó',
+      Psalms: 'Salmos',
+      Proverbs: 'Provérbios',
+      Ecclesiastes: 'Eclesiastes',
+      'Song of Solomon': 'Cânticos',
+      Isaiah: 'Isaías',
+      Jeremiah: 'Jeremias',
+      Lamentations: 'Lamentações',
+      Ezekiel: 'Ezequiel',
+      Daniel: 'Daniel',
+      Hosea: 'Oseias',
+      Joel: 'Joel',
+      Amos: 'Amós',
+      Obadiah: 'Obadias',
+      Jonah: 'Jonas',
+      Micah: 'Miqueias',
+      Nahum: 'Naum',
+      Habakkuk: 'Habacuque',
+      Zephaniah: 'Sofonias',
+      Haggai: 'Ageu',
+      Zechariah: 'Zacarias',
+      Malachi: 'Malaquias',
+      Matthew: 'Mateus',
+      Mark: 'Marcos',
+      Luke: 'Lucas',
+      John: 'João',
+      Acts: 'Atos',
+      Romans: 'Romanos',
+      '1 Corinthians': '1 Coríntios',
+      '2 Corinthians': '2 Coríntios',
+      Galatians: 'Gálatas',
+      Ephesians: 'Efésios',
+      Philippians: 'Filipenses',
+      Colossians: 'Colossenses',
+      '1 Thessalonians': '1 Tessalonicenses',
+      '2 Thessalonians': '2 Tessalonicenses',
+      '1 Timothy': '1 Timóteo',
+      '2 Timothy': '2 Timóteo',
+      Titus: 'Tito',
+      Philemon: 'Filemom',
+      Hebrews: 'Hebreus',
+      James: 'Tiago',
+      '1 Peter': '1 Pedro',
+      '2 Peter': '2 Pedro',
+      '1 John': '1 João',
+      '2 John': '2 João',
+      '3 John': '3 João',
+      Jude: 'Judas',
+      Revelation: 'Apocalipse',
+      Psalm: 'Salmo'
+    }
+  };
+
+  // Other accepted spellings in those languages, in normalized form
+  const LOCALIZED_ALIASES = {
+    'Psalms': ['salmo', 'sal'],
+    'Song of Solomon': ['cantar de los cantares', 'cantico dos canticos', 'cantico de salomao'],
+    'Revelation': ['apoc']
+  };
+
+  // Lookup table from normalized name or alias to book entry
+  const BOOK_LOOKUP = {};
+  BOOKS.forEach(book => {
+    BOOK_LOOKUP[book.name.toLowerCase()] = book;
+    book.aliases.forEach(alias => {
+      BOOK_LOOKUP[alias] = book;
+    });
+  });
+  BOOKS.forEach(book => {
+    Object.keys(BOOK_NAMES).forEach(language => {
+      BOOK_LOOKUP[normalizeBookKey(BOOK_NAMES[language][book.name])] = book;
+    });
+    (LOCALIZED_ALIASES[book.name] || []).forEach(alias => {
+      BOOK_LOOKUP[alias] = book;
+    });
+  });
+
+  // Spellings accepted for the numeric prefix of numbered books
+  const ORDINAL_PATTERNS = {
+    '1': 'first|1st|i|1',
+    '2': 'second|2nd|ii|2',
+    '3': 'third|3rd|iii|3'
+  };
+
+  const DASH = '\\s*[-\u2013\u2014]\\s*';
+
+  // Letters that may carry an accent in Spanish and Portuguese book names
+  const ACCENTED = {
+    a: '[aáàâã]',
+    e: '[eéèê]',
+    i: '[iíï]',
+    o: '[oóôõ]',
+    u: '[uúü]',
+    c: '[cç]',
+    n: '[nñ]'
+  };
+
+  // Regex source matching any book name or alias, longest first so that
+  // "song of songs" wins over "song" and "1 john" over "john". Keys are
+  // stored without accents, so accented letters are matched either way.
+  const BOOK_PATTERN = Object.keys(BOOK_LOOKUP)
+    .sort((a, b) => b.length - a.length)
+    .map(key => {
+      const numbered = key.match(/^([1-3]) (.+)$/);
+      const escape = text => text
+        .replace(/[.*+?^${}()|[\]\\']/g, '\\$&')
+        .replace(/[aeioucn]/g, letter => ACCENTED[letter])
+        .replace(/ /g, '\\s+');
+      return numbered
+        ? `(?:${ORDINAL_PATTERNS[numbered[1]]})\\.?\\s*${escape(numbered[2])}`
+        : escape(key);
+    })
+    .join('|');
+
+  // Normalize a book name or abbreviation into lookup form
+  function normalizeBookKey(name) {
+    return name
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\./g, ' ')
+      .replace(/\u2019/g, "'")
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^(first|1st|i)\s+/, '1 ')
+      .replace(/^(second|2nd|ii)\s+/, '2 ')
+      .replace(/^(third|3rd|iii)\s+/, '3 ')
+      .replace(/^([1-3])(?=[a-z])/, '$1 ');
+  }
+
+  /**
+   * Resolve a book name or abbreviation ("1 Cor", "Ps.", "Song of Songs")
+   * to its canonical name, or null if it isn't a known book.
+   */
+  function normalizeBookName(name) {
+    if (typeof name !== 'string') {
+      return null;
+    }
+    const book = BOOK_LOOKUP[normalizeBookKey(name)];
+    return book ? book.name : null;
+  }
+
+  function getBook(name) {
+    return BOOK_LOOKUP[normalizeBookKey(name)] || null;
+  }
+
+  // Parse one comma-separated item ("16", "16-18", "3:16", "1:26-2:3") in the
+  // context of the current book and chapter
+  function parseItem(item, book, context) {
+    const match = item.match(new RegExp(`^(\\d+)(?:\\s*:\\s*(\\d+))?(?:${DASH}(\\d+)(?:\\s*:\\s*(\\d+))?)?$`));
+    if (!match) {
+      return null;
+    }
+
+    const [, first, second, third, fourth] = match;
+    const toInt = value => (value === undefined ? undefined : parseInt(value, 10));
+    let range;
+
+    if (second !== undefined) {
+      // chapter:verse, optionally followed by -verse or -chapter:verse
+      range = {
+        chapter: toInt(first),
+        verseStart: toInt(second),
+        chapterEnd: fourth !== undefined ? toInt(third) : toInt(first),
+        verseEnd: fourth !== undefined ? toInt(fourth) : toInt(third !== undefined ? third : second)
+      };
+    } else if (context.verseLevel || book.chapters === 1) {
+      // A bare number is a verse when we're already inside a chapter, or when
+      // the book only has one chapter ("Jude 3")
+      if (fourth !== undefined) {
+        return null;
+      }
+      const chapter = context.chapter || 1;
+      range = {
+        chapter,
+        verseStart: toInt(first),
+        chapterEnd: chapter,
+        verseEnd: toInt(third !== undefined ? third : first)
+      };
+    } else {
+      // Whole chapter(s): "Psalm 23" or "Psalms 1-2"
+      if (fourth !== undefined) {
+        range = {
+          chapter: toInt(first),
+          verseStart: 1,
+          chapterEnd: toInt(third),
+          verseEnd: toInt(fourth)
+        };
+      } else {
+        range = {
+          chapter: toInt(first),
+          verseStart: null,
+          chapterEnd: toInt(third !== undefined ? third : first),
+          verseEnd: null
+        };
+      }
+    }
+
+    if (range.chapter < 1 || range.chapterEnd > book.chapters || range.chapterEnd < range.chapter) {
+      return null;
+    }
+    if (range.verseStart !== null) {
+      if (range.verseStart < 1 || range.verseEnd < 1) {
+        return null;
+      }
+      if (range.chapterEnd === range.chapter && range.verseEnd < range.verseStart) {
+        return null;
+      }
+    }
+
+    return { book: book.name, ...range };
+  }
+
+  /**
+   * Parse a reference string into an array of canonical ranges.
+   *
+   * Handles full and abbreviated book names ("1 Cor 13:4-7", "Ps. 23"),
+   * verse lists ("John 3:16,18"), cross-chapter ranges ("Gen 1:26-2:3")
+   * and semicolon-separated references ("John 3:16; 4:1; Rom 8:28").
+   *
+   * @param {string} text
+   * @returns {Array} ranges, or an empty array if the reference is invalid
+   */
+  function parse(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return [];
+    }
+
+    const ranges = [];
+    let book = null;
+
+    const parts = text.split(';').map(part => part.trim()).filter(Boolean);
+    for (const part of parts) {
+      const match = part.match(/^((?:[1-3]\s*|(?:i{1,3}|first|second|third|1st|2nd|3rd)\.?\s+)?[a-z\u00c0-\u00ff][a-z\u00c0-\u00ff.'\u2019\s]*?)\s*(\d[\d\s:,\-\u2013\u2014]*)$/i);
+      let rest = part;
+
+      if (match) {
+        const named = getBook(match[1]);
+        if (!named) {
+          return [];
+        }
+        book = named;
+        rest = match[2];
+      } else if (!book || !/^\d/.test(part)) {
+        return [];
+      }
+
+      const context = { chapter: null, verseLevel: false };
+      for (const item of rest.split(',').map(value => value.trim())) {
+        const range = parseItem(item, book, context);
+        if (!range) {
+          return [];
+        }
+        ranges.push(range);
+        context.chapter = range.chapterEnd;
+        context.verseLevel = range.verseStart !== null;
+      }
+    }
+
+    return ranges;
+  }
+
+  // A book's name in a language ("en", "es" or "pt"), falling back to the English name
+  function bookName(name, language) {
+    return (BOOK_NAMES[language] && BOOK_NAMES[language][name]) || name;
+  }
+
+  // Display name for a book, using the singular "Psalm" for a single psalm
+  function displayBookName(range, language) {
+    if (range.book === 'Psalms' && range.chapter === range.chapterEnd) {
+      return bookName('Psalm', language);
+    }
+    return bookName(range.book, language);
+  }
+
+  // The chapter/verse part of a range, e.g. "3:16-18", "1:26-2:3" or "23"
+  function formatNumbers(range) {
+    if (range.verseStart === null) {
+      return range.chapterEnd !== range.chapter ? `${range.chapter}-${range.chapterEnd}` : `${range.chapter}`;
+    }
+    if (range.chapterEnd !== range.chapter) {
+      return `${range.chapter}:${range.verseStart}-${range.chapterEnd}:${range.verseEnd}`;
+    }
+    if (range.verseEnd !== range.verseStart) {
+      return `${range.chapter}:${range.verseStart}-${range.verseEnd}`;
+    }
+    return `${range.chapter}:${range.verseStart}`;
+  }
+
+  /**
+   * Format a single range as a display string ("Genesis 1:26-2:3").
+   *
+   * @param {Object} range
+   * @param {string} [language] - "es" or "pt" for Spanish or Portuguese book names; English otherwise
+   */
+  function formatRange(range, language) {
+    return `${displayBookName(range, language)} ${formatNumbers(range)}`;
+  }
+
+  /**
+   * Format an array of ranges as one display string, grouping verses in the
+   * same chapter ("John 3:16, 18") and chapters in the same book ("John 3:16; 4:1").
+   * Book names are in English unless a language is given, as for formatRange.
+   */
+  function format(ranges, language) {
+    if (!Array.isArray(ranges) || ranges.length === 0) {
+      return '';
+    }
+
+    let output = '';
+    ranges.forEach((range, index) => {
+      const previous = ranges[index - 1];
+
+      if (!previous || previous.book !== range.book) {
+        // Only use the singular "Psalm" when every range for the book is in one psalm
+        const singleChapter = ranges
+          .filter(other => other.book === range.book)
+          .every(other => other.chapter === range.chapter && other.chapterEnd === range.chapter);
+        const name = singleChapter ? displayBookName(range, language) : bookName(range.book, language);
+        output += `${previous ? '; ' : ''}${name} ${formatNumbers(range)}`;
+      } else if (
+        previous.chapterEnd === range.chapter &&
+        previous.verseStart !== null &&
+        range.verseStart !== null &&
+        range.chapterEnd === range.chapter
+      ) {
+        output += `, ${range.verseEnd !== range.verseStart ? `${range.verseStart}-${range.verseEnd}` : range.verseStart}`;
+      } else {
+        output += `; ${formatNumbers(range)}`;
+      }
+    });
+
+    return output;
+  }
+
+  /**
+   * Normalize a reference string to its canonical display form, or return
+   * null if it can't be parsed. References may be written in English,
+   * Spanish or Portuguese; the result is in English unless a language is given.
+   */
+  function normalize(text, language) {
+    const ranges = parse(text);
+    return ranges.length > 0 ? format(ranges, language) : null;
+  }
+
+  // A book name of one or two letters with no number, like "Jn" or "Ro". These
+  // are everyday words too ("es 3", "la 1"), so in free text they only count
+  // with a period ("Ro. 8:28") or as the whole of the text ("ro 8:28").
+  function isShortBookName(book) {
+    return !/\d/.test(book) && book.replace(/\s+/g, '').length <= 2;
+  }
+
+  /**
+   * Find references embedded in free text.
+   *
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.allowChapterOnly=false] - also match "Psalm 23" without a verse
+   * @param {boolean} [options.allowShortBookNames=false] - also match "Ro 8:28" anywhere, for text that is only references
+   * @returns {Array<{text: string, index: number, ranges: Array}>}
+   */
+  function findReferences(text, options = {}) {
+    if (typeof text !== 'string') {
+      return [];
+    }
+
+    const verse = `\\d+\\s*:\\s*\\d+(?:${DASH}\\d+(?:\\s*:\\s*\\d+)?)?`;
+    const chapter = `\\d+(?:${DASH}\\d+)?`;
+    const first = options.allowChapterOnly ? `(?:${verse}|${chapter})` : verse;
+    // Further comma-separated verses, unless the comma starts a new reference ("16, 1 Cor 13:4")
+    const more = `(?:\\s*,(?!\\s*(?:${BOOK_PATTERN})\\.?\\s*\\d)\\s*\\d+(?:\\s*:\\s*\\d+)?(?:${DASH}\\d+)?(?!\\d))*`;
+    // Not \\b, which doesn't see a boundary before an accented letter ("Éxodo 20:3")
+    const pattern = new RegExp(`(?<![\\w\\u00c0-\\u00ff])(?<book>${BOOK_PATTERN})(?<period>\\.?)\\s*${first}${more}(?!\\d|\\s*:\\s*\\d)`, 'gi');
+
+    const found = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (isShortBookName(match.groups.book) && !match.groups.period && !options.allowShortBookNames && text.trim() !== match[0]) {
+        continue;
+      }
+      const ranges = parse(match[0]);
+      if (ranges.length > 0) {
+        found.push({ text: match[0], index: match.index, ranges });
+      }
+    }
+    return found;
+  }
+
+  return {
+    BOOKS,
+    normalizeBookName,
+    parse,
+    format,
+    formatRange,
+    normalize,
+    findReferences
+  };
+});
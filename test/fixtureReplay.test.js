@@ -0,0 +1,50 @@
+const assert = require('node:assert');
+const path = require('node:path');
+const { test } = require('node:test');
+
+// Replay the committed fixtures in test/fixtures/llm instead of calling a provider
+process.env.LLM_FIXTURES = 'replay';
+process.env.LLM_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'llm');
+delete process.env.LLM_MODEL;
+delete process.env.VERSE_VERIFICATION_MODE;
+
+const { completeChat } = require('../netlify/functions/lib/aiClient');
+const { createMemoryCache } = require('../netlify/functions/lib/responseCache');
+const { searchVerses } = require('../netlify/functions/lib/verseSearch');
+
+function fixtureRequest(content) {
+  return { model: 'gpt-3.5-turbo', messages: [{ role: 'user', content }] };
+}
+
+test('completeChat retries a rate-limited request', async () => {
+  const retries = [];
+  const content = await completeChat(fixtureRequest('Fixture check: rate limited, then answered'), {
+    task: 'fixture-check',
+    maxRetries: 2,
+    onRetry: ({ error }) => retries.push(error.code)
+  });
+
+  assert.strictEqual(content, 'Answered after a rate limit');
+  assert.deepStrictEqual(retries, ['RATE_LIMITED']);
+});
+
+test('completeChat retries a timed-out request', async () => {
+  const retries = [];
+  const content = await completeChat(fixtureRequest('Fixture check: timed out, then answered'), {
+    task: 'fixture-check',
+    maxRetries: 2,
+    onRetry: ({ error }) => retries.push(error.code)
+  });
+
+  assert.strictEqual(content, 'Answered after a timeout');
+  assert.deepStrictEqual(retries, ['TIMEOUT']);
+});
+
+test('searchVerses retries a malformed reply and reads verses from prose', async () => {
+  const result = await searchVerses('forgiveness', 'KJV', { cache: createMemoryCache() });
+
+  assert.strictEqual(result.canBeAddressed, true);
+  assert.deepStrictEqual(result.verses.map(verse => verse.reference), ['Colossians 3:13', '1 John 1:9', 'Matthew 6:14']);
+  // The model's shortened quote is replaced with the KJV text
+  assert.match(result.verses[0].text, /even as Christ forgave you/);
+});
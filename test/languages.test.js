@@ -0,0 +1,62 @@
+const assert = require('node:assert');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+process.env.JOB_STORE = 'file';
+process.env.SHARE_STORE_DIR = path.join(os.tmpdir(), `languages-test-${process.pid}`);
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const generateReflection = require('../netlify/functions/generateReflection');
+const shareView = require('../netlify/functions/shareView');
+const { parseReflection } = require('../netlify/functions/lib/reflectionPrompt');
+const { createShare, getShareStore } = require('../netlify/functions/lib/shares');
+
+test('a reflection missing its title and prayer gets them in its language', () => {
+  const reflection = parseReflection('Dios nos da esperanza.', 'esperanza', [{ reference: 'Romans 15:13' }], 'devotional', 'es');
+
+  assert.strictEqual(reflection.title, 'Reflexión sobre esperanza');
+  assert.match(reflection.prayer, /^Señor/);
+  assert.strictEqual(parseReflection('God gives hope.', 'hope', []).title, 'Reflection on hope');
+});
+
+test('a passage lookup in a translation without local text says it is quoted from the KJV', async () => {
+  const event = {
+    httpMethod: 'POST',
+    headers: { 'client-ip': '10.2.0.1' },
+    body: JSON.stringify({ type: 'LOOKUP_PASSAGE', reference: 'John 3:16', translation: 'RVR1960' })
+  };
+  const passage = JSON.parse((await generateReflection.handler(event, {})).body);
+
+  assert.strictEqual(passage.translation, 'KJV');
+  assert.strictEqual(passage.requestedTranslation, 'RVR1960');
+});
+
+test('a shared page is in the language it was shared in', async () => {
+  const { share } = await createShare(getShareStore({}), {
+    subject: 'Salmo 23',
+    translation: 'RVR1960',
+    language: 'es',
+    verses: [{ reference: 'Psalm 23:1', text: 'Jehová es mi pastor; nada me faltará.' }],
+    reflection: { title: 'El buen pastor', paragraphs: ['Dios cuida de nosotros.'], application: 'Confía hoy.', prayer: 'Señor, guíanos.', references: ['Psalm 23:1'] }
+  });
+  const page = await shareView.handler({ httpMethod: 'GET', path: `/r/${share.slug}`, headers: { 'client-ip': '10.2.0.2' } }, {});
+
+  assert.strictEqual(page.statusCode, 200);
+  assert.match(page.body, /<html lang="es">/);
+  assert.match(page.body, /<h2>Pasajes<\/h2>/);
+  assert.match(page.body, /<h4>Oración<\/h4>/);
+  assert.doesNotMatch(page.body, /Scriptures|Prayer</);
+});
+
+test('the not-found page follows the browser\'s language', async () => {
+  const page = await shareView.handler({
+    httpMethod: 'GET',
+    path: '/r/AAAAAAAAAAAAAAAAAAAAAA',
+    headers: { 'client-ip': '10.2.0.3', 'accept-language': 'pt-BR,pt;q=0.9,en;q=0.8' }
+  }, {});
+
+  assert.strictEqual(page.statusCode, 404);
+  assert.match(page.body, /<html lang="pt">/);
+  assert.match(page.body, /Esta reflexão não está compartilhada/);
+});
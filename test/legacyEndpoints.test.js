@@ -0,0 +1,52 @@
+const assert = require('node:assert');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+process.env.JOB_STORE = 'file';
+process.env.JOB_STORE_DIR = path.join(os.tmpdir(), `legacy-endpoints-test-${process.pid}`);
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const generateReflection = require('../netlify/functions/generateReflection');
+const reflectionStatus = require('../netlify/functions/reflectionStatus');
+
+let client = 0;
+
+async function post(handler, body) {
+  // A new client each time, so the rate limits don't get in the way
+  const event = { httpMethod: 'POST', headers: { 'client-ip': `10.1.0.${++client}` }, body };
+  const response = await handler(event, {});
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+}
+
+test('a body that is not JSON is a 400 with INVALID_JSON', async () => {
+  for (const handler of [generateReflection.handler, reflectionStatus.handler]) {
+    const response = await post(handler, '{not json');
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.body.code, 'INVALID_JSON');
+  }
+});
+
+test('an unknown request type is a 400 with VALIDATION_FAILED', async () => {
+  const response = await post(generateReflection.handler, JSON.stringify({ type: 'NOPE' }));
+
+  assert.strictEqual(response.statusCode, 400);
+  assert.strictEqual(response.body.code, 'VALIDATION_FAILED');
+  assert.strictEqual(response.body.details[0].path, '/type');
+});
+
+test('a body that fails the schema is a 400 with its details', async () => {
+  const bodies = [
+    [generateReflection.handler, { type: 'GENERATE_REFLECTION', topic: 'grace' }],
+    [reflectionStatus.handler, { topic: 'grace' }]
+  ];
+  for (const [handler, body] of bodies) {
+    const response = await post(handler, JSON.stringify(body));
+
+    assert.strictEqual(response.statusCode, 400);
+    assert.strictEqual(response.body.error, 'Invalid request');
+    assert.strictEqual(response.body.code, 'VALIDATION_FAILED');
+    assert.deepStrictEqual(response.body.details, [{ path: '/verses', message: 'is required' }]);
+  }
+});
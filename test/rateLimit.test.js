@@ -0,0 +1,70 @@
+const assert = require('node:assert');
+const { afterEach, beforeEach, test } = require('node:test');
+
+// Buckets live in this process's memory
+process.env.RATE_LIMIT_STORE = 'memory';
+
+const { POLICIES, checkRateLimit } = require('../netlify/functions/lib/rateLimit');
+
+const realNow = Date.now;
+let now;
+
+beforeEach(() => {
+  now = realNow();
+  Date.now = () => now;
+});
+
+afterEach(() => {
+  Date.now = realNow;
+});
+
+function event(ip) {
+  return { headers: { 'x-nf-client-connection-ip': ip } };
+}
+
+test('a full bucket allows a burst up to the limit, then refuses', async () => {
+  const { limit } = POLICIES.reflection;
+
+  for (let i = 0; i < limit; i++) {
+    assert.strictEqual((await checkRateLimit(event('10.0.0.1'), 'reflection')).allowed, true);
+  }
+  const refused = await checkRateLimit(event('10.0.0.1'), 'reflection');
+
+  assert.strictEqual(refused.allowed, false);
+  assert.strictEqual(refused.remaining, 0);
+  assert.strictEqual(refused.retryAfterSeconds, POLICIES.reflection.windowSeconds / limit);
+  assert.strictEqual(refused.headers['RateLimit-Limit'], String(limit));
+});
+
+test('the bucket refills steadily over the window', async () => {
+  const { limit, windowSeconds } = POLICIES.reflection;
+  const tokenMs = (windowSeconds * 1000) / limit;
+
+  for (let i = 0; i < limit; i++) {
+    await checkRateLimit(event('10.0.0.2'), 'reflection');
+  }
+
+  now += tokenMs / 2;
+  assert.strictEqual((await checkRateLimit(event('10.0.0.2'), 'reflection')).allowed, false);
+
+  // Half a token was left over from the refused request
+  now += tokenMs / 2;
+  assert.strictEqual((await checkRateLimit(event('10.0.0.2'), 'reflection')).allowed, true);
+  assert.strictEqual((await checkRateLimit(event('10.0.0.2'), 'reflection')).allowed, false);
+
+  // A full window refills the whole bucket, and no more
+  now += windowSeconds * 1000 * 2;
+  const refilled = await checkRateLimit(event('10.0.0.2'), 'reflection');
+  assert.strictEqual(refilled.allowed, true);
+  assert.strictEqual(refilled.remaining, limit - 1);
+});
+
+test('each client and policy has its own bucket', async () => {
+  for (let i = 0; i < POLICIES['verse-search'].limit; i++) {
+    await checkRateLimit(event('10.0.0.3'), 'verse-search');
+  }
+
+  assert.strictEqual((await checkRateLimit(event('10.0.0.3'), 'verse-search')).allowed, false);
+  assert.strictEqual((await checkRateLimit(event('10.0.0.4'), 'verse-search')).allowed, true);
+  assert.strictEqual((await checkRateLimit(event('10.0.0.3'), 'reflection')).allowed, true);
+});
@@ -0,0 +1,93 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { buildPlanRequest, parsePlan } = require('../netlify/functions/lib/readingPlans');
+const ReadingPlans = require('../shared/readingPlans');
+
+const PLAN = {
+  id: 'plan1',
+  topic: 'Rest, for the weary',
+  title: 'Rest; a week, with Jesus\\',
+  translation: 'KJV',
+  startDate: '2024-12-31',
+  days: [
+    {
+      day: 1,
+      reference: 'Matthew 11:28-30',
+      title: 'Come to me',
+      reflection: 'Jesus **invites** the weary.\nBring your burdens.',
+      verses: [
+        { reference: 'Matthew 11:28', text: 'Come unto me, all ye that labour and are heavy laden, and I will give you rest.' },
+        { reference: 'Matthew 11:29', text: 'Take my yoke upon you, and learn of me; for I am meek and lowly in heart: and ye shall find rest unto your souls.' }
+      ]
+    },
+    {
+      day: 2,
+      reference: 'Psalm 23:1-3',
+      title: 'Él me guía — descanso junto a aguas de reposo en lugares de delicados pastos',
+      reflection: '',
+      verses: [{ reference: 'Psalm 23:1', text: 'The LORD is my shepherd; I shall not want.' }]
+    }
+  ]
+};
+
+// Undo RFC 5545 line folding
+function unfold(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+test('toIcs writes an all-day event per day from the start date', () => {
+  const lines = unfold(ReadingPlans.toIcs(PLAN));
+
+  assert.strictEqual(lines[0], 'BEGIN:VCALENDAR');
+  assert.strictEqual(lines.filter(line => line === 'BEGIN:VEVENT').length, 2);
+  assert.ok(lines.includes('UID:plan1-day-2@bible-reflection'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20250101'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20250102'));
+});
+
+test('toIcs escapes backslashes, semicolons, commas and newlines', () => {
+  const lines = unfold(ReadingPlans.toIcs(PLAN));
+
+  assert.ok(lines.includes('X-WR-CALNAME:Rest\\; a week\\, with Jesus\\\\'));
+  assert.ok(lines.includes('SUMMARY:Day 1: Matthew 11:28-30'));
+  const description = lines.find(line => line.startsWith('DESCRIPTION:Come to me'));
+  assert.ok(description.startsWith('DESCRIPTION:Come to me\\n\\nJesus invites the weary.\\nBring your burdens.\\n\\nMatthew 11:28 Come unto me\\, all ye'));
+  assert.ok(description.endsWith('\\n\\n(KJV)'));
+});
+
+test('toIcs folds lines at 75 octets without splitting a character', () => {
+  const ics = ReadingPlans.toIcs(PLAN);
+  const physical = ics.split('\r\n');
+
+  assert.ok(ics.endsWith('\r\n'));
+  physical.forEach(line => assert.ok(Buffer.byteLength(line) <= 75, `${Buffer.byteLength(line)} octets: ${line}`));
+  assert.ok(physical.some(line => line.startsWith(' ')));
+  assert.ok(!ics.includes('�'));
+  assert.ok(unfold(ics).some(line => line === 'SUMMARY:Day 2: Psalm 23:1-3'));
+  assert.ok(unfold(ics).some(line => line.startsWith(`DESCRIPTION:${PLAN.days[1].title}\\n\\n`)));
+});
+
+test('icsFileName is a slug of the topic and length', () => {
+  assert.strictEqual(ReadingPlans.icsFileName(PLAN), 'rest-for-the-weary-2-day-plan.ics');
+});
+
+test('a 30-day plan request stays within the model\'s completion limit', () => {
+  const request = buildPlanRequest('hope', 30, [{ reference: 'Romans 15:13' }], 'KJV');
+
+  assert.ok(request.max_tokens <= 4096, `max_tokens is ${request.max_tokens}`);
+  assert.ok(buildPlanRequest('hope', 7, [], 'KJV').max_tokens < request.max_tokens);
+});
+
+test('parsePlan reads passages from the KJV for a translation without local text, and says so', () => {
+  const content = JSON.stringify({
+    title: 'Esperanza',
+    days: [{ reference: 'Romans 15:13', title: 'El Dios de esperanza', reflection: 'Dios nos llena de gozo.' }]
+  });
+  const plan = parsePlan(content, { topic: 'esperanza', days: 7, translation: 'RVR1960', language: 'es' });
+
+  assert.strictEqual(plan.translation, 'KJV');
+  assert.strictEqual(plan.requestedTranslation, 'RVR1960');
+  assert.match(plan.days[0].verses[0].text, /Now the God of hope/);
+  assert.strictEqual(parsePlan(content, { topic: 'hope', days: 7, translation: 'WEB' }).requestedTranslation, undefined);
+});
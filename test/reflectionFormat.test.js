@@ -0,0 +1,51 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const ReflectionFormat = require('../shared/reflectionFormat');
+
+const COMMON = {
+  title: 'Grace for Today',
+  paragraphs: ['God’s grace meets us where we are (Ephesians 2:8).', 'It is a gift:\n- not earned\n- freely given'],
+  application: 'Thank God for one gift today.',
+  prayer: 'Lord, teach us to rest in your grace. Amen.',
+  references: ['Ephesians 2:8-9', 'Psalm 23']
+};
+
+const REFLECTIONS = {
+  devotional: { mode: 'devotional', ...COMMON },
+  children: { mode: 'children', ...COMMON, questions: ['What is a gift?', 'Who gives you gifts?'] },
+  'small-group': {
+    mode: 'small-group',
+    ...COMMON,
+    icebreaker: 'What is the best gift you have been given?',
+    questions: ['Why is grace a gift?', 'How can we show grace this week?']
+  },
+  sermon: {
+    mode: 'sermon',
+    ...COMMON,
+    points: [
+      { title: 'Grace is given', text: 'We are saved by grace.', illustration: 'A child opening a present.' },
+      { title: 'Grace is received', text: 'Faith receives the gift.', illustration: '' }
+    ]
+  },
+  prayer: { mode: 'prayer', ...COMMON }
+};
+
+test('every mode has a round-trip example', () => {
+  assert.deepStrictEqual(Object.keys(REFLECTIONS).sort(), Object.keys(ReflectionFormat.MODES).sort());
+});
+
+Object.keys(REFLECTIONS).forEach(mode => {
+  test(`parse(format(reflection)) gives a ${mode} reflection back`, () => {
+    const reflection = REFLECTIONS[mode];
+    assert.deepStrictEqual(ReflectionFormat.parse(ReflectionFormat.format(reflection), mode), reflection);
+  });
+});
+
+test('parse takes references from the body when there is no references section', () => {
+  const reflection = ReflectionFormat.parse('# Hope\n\nRead jhn 3:16, Ro 8:28 and Rom 8:28.\n\n## Prayer\n\nAmen.');
+
+  assert.strictEqual(reflection.mode, ReflectionFormat.DEFAULT_MODE);
+  assert.deepStrictEqual(reflection.references, ['John 3:16', 'Romans 8:28']);
+  assert.strictEqual(reflection.prayer, 'Amen.');
+});
@@ -0,0 +1,39 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+process.env.SHARE_SIGNING_SECRET = 'test-secret';
+
+const { parseReflection } = require('../netlify/functions/lib/reflectionPrompt');
+const { signReflection, verifyReflectionSignature } = require('../netlify/functions/lib/reflectionSignature');
+
+const VERSES = [{ reference: 'Psalm 23:1', text: 'The LORD is my shepherd; I shall not want.' }];
+const CONTENT = '# The Lord Is My Shepherd\n\nGod provides.\n\n## Application\n\nRest in him.\n\n## Prayer\n\nLord, lead me. Amen.';
+
+test('a parsed reflection is signed for its verses', () => {
+  const reflection = parseReflection(CONTENT, 'provision', VERSES);
+
+  assert.strictEqual(typeof reflection.signature, 'string');
+  assert.ok(verifyReflectionSignature(reflection, VERSES));
+  // A round trip through JSON, as through the browser and the journal
+  assert.ok(verifyReflectionSignature(JSON.parse(JSON.stringify(reflection)), VERSES));
+});
+
+test('a changed reflection or other verses don\'t match the signature', () => {
+  const reflection = parseReflection(CONTENT, 'provision', VERSES);
+
+  assert.ok(!verifyReflectionSignature({ ...reflection, prayer: 'Something else entirely.' }, VERSES));
+  assert.ok(!verifyReflectionSignature(reflection, [...VERSES, { reference: 'Psalm 23:2', text: 'He maketh me to lie down in green pastures.' }]));
+  assert.ok(!verifyReflectionSignature({ ...reflection, signature: 'forged' }, VERSES));
+  assert.ok(!verifyReflectionSignature({ title: 'Unsigned' }, VERSES));
+});
+
+test('without a key reflections are not signed and nothing verifies', () => {
+  const reflection = signReflection({ title: 'Hope' }, VERSES);
+  delete process.env.SHARE_SIGNING_SECRET;
+  try {
+    assert.strictEqual(signReflection({ title: 'Hope' }, VERSES).signature, undefined);
+    assert.ok(!verifyReflectionSignature(reflection, VERSES));
+  } finally {
+    process.env.SHARE_SIGNING_SECRET = 'test-secret';
+  }
+});
@@ -0,0 +1,33 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { validate } = require('../netlify/functions/lib/schema');
+
+test('a valid request has no errors', () => {
+  assert.deepStrictEqual(validate('VerseSearchRequest', { query: 'grace', translation: 'KJV', language: 'en' }), []);
+});
+
+test('each failed check is reported with its path', () => {
+  assert.deepStrictEqual(validate('VerseSearchRequest', { query: 'x', translation: 'NOPE', extra: 1 }), [
+    { path: '/query', message: 'must be at least 2 characters' },
+    { path: '/translation', message: 'must be one of KJV, WEB, NIV, ESV, NLT, RVR1960, NVI, ARA, NVT' },
+    { path: '/extra', message: 'is not allowed' }
+  ]);
+});
+
+test('patterns and enums are checked', () => {
+  assert.deepStrictEqual(validate('PlanRequest', { topic: '  ', days: 5 }), [
+    { path: '/topic', message: 'is not in the expected format' },
+    { path: '/days', message: 'must be one of 7, 14, 30' }
+  ]);
+});
+
+test('referenced definitions are checked inside arrays', () => {
+  assert.deepStrictEqual(validate('ReflectionRequest', { topic: 'grace', verses: [{ reference: 'John 3:16' }] }), [
+    { path: '/verses/0/text', message: 'is required' }
+  ]);
+});
+
+test('an unknown schema name throws', () => {
+  assert.throws(() => validate('NoSuchRequest', {}), /Unknown schema "NoSuchRequest"/);
+});
@@ -0,0 +1,46 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const ScriptureReference = require('../shared/scriptureReference');
+
+test('parse reads abbreviated books and verse ranges', () => {
+  assert.deepStrictEqual(ScriptureReference.parse('1 Cor 13:4-7'), [
+    { book: '1 Corinthians', chapter: 13, verseStart: 4, chapterEnd: 13, verseEnd: 7 }
+  ]);
+});
+
+test('parse rejects unknown books and empty input', () => {
+  assert.deepStrictEqual(ScriptureReference.parse('Nothing 3:16'), []);
+  assert.deepStrictEqual(ScriptureReference.parse(''), []);
+  assert.deepStrictEqual(ScriptureReference.parse(null), []);
+});
+
+test('normalize writes references in their canonical form', () => {
+  assert.strictEqual(ScriptureReference.normalize('Gen 1:26-2:3'), 'Genesis 1:26-2:3');
+  assert.strictEqual(ScriptureReference.normalize('John 3:16,18; 4:1; Rom 8:28'), 'John 3:16, 18; 4:1; Romans 8:28');
+  assert.strictEqual(ScriptureReference.normalize('Ps. 23'), 'Psalm 23');
+  assert.strictEqual(ScriptureReference.normalize('Nothing 3:16'), null);
+});
+
+test('normalize reads and writes Spanish book names', () => {
+  assert.strictEqual(ScriptureReference.normalize('Juan 3:16'), 'John 3:16');
+  assert.strictEqual(ScriptureReference.normalize('John 3:16', 'es'), 'Juan 3:16');
+});
+
+test('findReferences finds references in free text', () => {
+  const found = ScriptureReference.findReferences('See jhn 3:16 and Psalm 23:1-3.');
+
+  assert.deepStrictEqual(found.map(reference => [reference.text, reference.index]), [['jhn 3:16', 4], ['Psalm 23:1-3', 17]]);
+  assert.strictEqual(ScriptureReference.format(found[0].ranges), 'John 3:16');
+});
+
+test('findReferences only takes a two-letter book name with a period or on its own', () => {
+  const texts = text => ScriptureReference.findReferences(text, { allowChapterOnly: true }).map(reference => reference.text);
+
+  assert.deepStrictEqual(texts('Dios es 3 veces santo'), []);
+  assert.deepStrictEqual(texts('la 1 cosa que importa'), []);
+  assert.deepStrictEqual(texts('See jn 3:16 and Ro 8:28'), []);
+  assert.deepStrictEqual(texts('See Jn. 3:16 and Ro. 8:28'), ['Jn. 3:16', 'Ro. 8:28']);
+  assert.deepStrictEqual(texts(' ro 8:28 '), ['ro 8:28']);
+  assert.deepStrictEqual(texts('As 1 Jn 4:8 says'), ['1 Jn 4:8']);
+});
@@ -0,0 +1,40 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+
+const { classifyTopic, gateTopic } = require('../netlify/functions/lib/topicGate');
+
+test('faith, theme and reference topics are accepted locally', () => {
+  ['forgiveness', 'grief', 'John 3:16', 'What does the Bible say about hope?'].forEach(topic => {
+    assert.strictEqual(classifyTopic(topic).decision, 'accept', topic);
+  });
+});
+
+test('explicit and clearly off-topic queries are rejected locally', () => {
+  ['jesus porn', 'bitcoin casino'].forEach(topic => {
+    assert.strictEqual(classifyTopic(topic).decision, 'reject', topic);
+  });
+});
+
+test('a sensitive or off-topic term is never accepted locally, whatever else scores', () => {
+  ['pray for my bomb to work', 'jesus sex explicit story', 'god hates gays', 'Is it wrong to play the lottery?'].forEach(topic => {
+    assert.strictEqual(classifyTopic(topic).decision, 'ambiguous', topic);
+  });
+});
+
+test('an ambiguous topic is decided by the AI', async () => {
+  let asked = 0;
+  const evaluation = await gateTopic('pray for my bomb to work', async () => {
+    asked++;
+    return { canBeAddressed: false, reason: 'Harmful request' };
+  });
+
+  assert.strictEqual(asked, 1);
+  assert.deepStrictEqual(evaluation, { canBeAddressed: false, reason: 'Harmful request', tier: 'ai', score: 2 });
+});
+
+test('a local decision does not ask the AI', async () => {
+  const evaluation = await gateTopic('forgiveness', async () => assert.fail('the AI was asked'));
+
+  assert.strictEqual(evaluation.canBeAddressed, true);
+  assert.strictEqual(evaluation.tier, 'local');
+});